@@ -0,0 +1,34 @@
+// File location: src/app/api/voice-token/route.ts
+import { NextResponse } from 'next/server';
+import { getTokenSecret, isAllowedOrigin, mintVoiceToken } from '@/lib/voice-token';
+
+// Decides who gets a token and returns the token's subject, or null to refuse.
+// As shipped every caller from an allowed origin gets an anonymous token:
+// replace this with the host app's own session or user check.
+async function authorizeCaller(_request: Request): Promise<string | null> {
+  return 'anonymous';
+}
+
+// Mints short-lived tokens for the bundle's `tokenProvider` so the relay
+// secret never reaches the browser or the WebSocket URL.
+export async function POST(request: Request) {
+  const secret = getTokenSecret();
+  if (!secret) {
+    return NextResponse.json({ error: 'Token secret not configured' }, { status: 500 });
+  }
+
+  if (!isAllowedOrigin(request)) {
+    return NextResponse.json({ error: 'Origin not allowed' }, { status: 403 });
+  }
+
+  const subject = await authorizeCaller(request);
+  if (!subject) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  const { token, expiresAt } = mintVoiceToken(secret, subject);
+  return NextResponse.json(
+    { token, expiresAt },
+    { headers: { 'Cache-Control': 'no-store' } }
+  );
+}
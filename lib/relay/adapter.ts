@@ -0,0 +1,31 @@
+// File location: lib/relay/adapter.ts
+import type { AudioCodec, ErrorCode, MediaChunk, Part, ServerContent, SessionConfig, ToolCall, ToolResponse } from './protocol';
+
+// Callbacks a model session uses to push output back towards the client
+export interface ModelSessionEvents {
+  content(content: ServerContent): void;
+  audio(pcm: Buffer, sampleRate: number): void;
+  toolCall(toolCall: ToolCall): void;
+  toolCallCancellation(ids: string[]): void;
+  interrupted(): void;
+  turnComplete(): void;
+  // Reported to the client as `code` (INTERNAL_ERROR when omitted)
+  error(message: string, code?: ErrorCode): void;
+  log(type: string, message: unknown): void;
+}
+
+// One live conversation with a model
+export interface ModelSession {
+  sendRealtimeInput(chunks: MediaChunk[]): void;
+  sendClientContent(turns: Part[], turnComplete: boolean): void;
+  sendToolResponse(response: ToolResponse): void;
+  close(): void;
+}
+
+// Bridges the relay protocol to a model provider
+export interface ModelAdapter {
+  readonly name: string;
+  // Compressed microphone formats the adapter accepts besides PCM
+  readonly inputCodecs?: AudioCodec[];
+  connect(model: string, config: SessionConfig, events: ModelSessionEvents): Promise<ModelSession>;
+}
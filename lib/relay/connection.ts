@@ -0,0 +1,311 @@
+// File location: lib/relay/connection.ts
+import { randomUUID } from 'crypto';
+import { verifyVoiceToken } from '../voice-token';
+import type { ModelAdapter, ModelSession, ModelSessionEvents } from './adapter';
+import {
+  BINARY_FRAME,
+  MIN_PROTOCOL_VERSION,
+  PROTOCOL_VERSION,
+  RETRYABLE_ERRORS,
+  decodeAudioFrame,
+  encodeAudioFrame,
+  validateUpstreamMessage,
+  type AudioCodec,
+  type DownstreamMessage,
+  type ErrorCode,
+  type Part,
+  type SessionConfig,
+  type UpstreamMessage,
+} from './protocol';
+
+// How a connection talks back to its client (WebSocket or Server-Sent Events)
+export interface ConnectionSink {
+  readonly supportsBinary: boolean;
+  sendJson(message: DownstreamMessage): void;
+  sendBinary(frame: Buffer): void;
+  close(code?: number, reason?: string): void;
+}
+
+export interface RelayOptions {
+  adapter: ModelAdapter;
+  // When set, clients must send a valid `auth` token before `connect`
+  tokenSecret?: string | null;
+  // How long a dropped session stays resumable
+  resumeWindowMs?: number;
+}
+
+const DEFAULT_RESUME_WINDOW_MS = 2 * 60 * 1000;
+
+// A model conversation that outlives individual connections so it can be resumed
+class RelaySession {
+  readonly handle = randomUUID();
+  connection: RelayConnection | null = null;
+  modelSession: ModelSession | null = null;
+  private expiryTimer: NodeJS.Timeout | null = null;
+
+  constructor(private readonly store: Map<string, RelaySession>) {
+    store.set(this.handle, this);
+  }
+
+  // Model output goes to whichever connection currently owns the session
+  readonly events: ModelSessionEvents = {
+    content: (content) => this.connection?.deliver({ type: 'content', data: content }),
+    audio: (pcm, sampleRate) => this.connection?.deliverAudio(pcm, sampleRate),
+    toolCall: (toolCall) => this.connection?.deliver({ type: 'toolCall', data: toolCall }),
+    toolCallCancellation: (ids) => this.connection?.deliver({ type: 'toolCallCancellation', data: { ids } }),
+    interrupted: () => this.connection?.deliver({ type: 'interrupted' }),
+    turnComplete: () => this.connection?.deliver({ type: 'turnComplete' }),
+    error: (message, code = 'INTERNAL_ERROR') => this.connection?.fail(code, message),
+    log: (type, message) =>
+      this.connection?.deliver({ type: 'log', data: { date: new Date().toISOString(), type, message } }),
+  };
+
+  attach(connection: RelayConnection) {
+    if (this.expiryTimer) {
+      clearTimeout(this.expiryTimer);
+      this.expiryTimer = null;
+    }
+    this.connection = connection;
+  }
+
+  detach(resumeWindowMs: number) {
+    this.connection = null;
+    this.expiryTimer = setTimeout(() => this.end(), resumeWindowMs);
+  }
+
+  end() {
+    if (this.expiryTimer) {
+      clearTimeout(this.expiryTimer);
+      this.expiryTimer = null;
+    }
+    this.modelSession?.close();
+    this.modelSession = null;
+    this.connection = null;
+    this.store.delete(this.handle);
+  }
+}
+
+// Shared state for every connection served by one relay
+export class RelayContext {
+  readonly sessions = new Map<string, RelaySession>();
+
+  constructor(readonly options: RelayOptions) {}
+
+  get resumeWindowMs() {
+    return this.options.resumeWindowMs ?? DEFAULT_RESUME_WINDOW_MS;
+  }
+}
+
+// Protocol handling for one client connection
+export class RelayConnection {
+  private authorized: boolean;
+  private session: RelaySession | null = null;
+  private binaryAudio = false;
+  private audioCodec: AudioCodec = 'pcm';
+
+  constructor(
+    private sink: ConnectionSink,
+    private readonly context: RelayContext,
+    { preAuthorized = false } = {}
+  ) {
+    this.authorized = preAuthorized || !context.options.tokenSecret;
+  }
+
+  // Raw data from the transport: JSON text or a binary audio frame
+  receive(data: string | Buffer) {
+    if (Buffer.isBuffer(data)) {
+      this.receiveBinary(data);
+      return;
+    }
+
+    let message: UpstreamMessage;
+    try {
+      message = JSON.parse(data);
+    } catch {
+      this.fail('INVALID_MESSAGE', 'Malformed JSON message');
+      return;
+    }
+
+    const problem = validateUpstreamMessage(message);
+    if (problem) {
+      this.fail(problem.startsWith('Unknown message type') ? 'PROTOCOL_MISMATCH' : 'INVALID_MESSAGE', problem);
+      return;
+    }
+
+    this.handleMessage(message).catch((error) => {
+      console.error('Relay failed to handle message:', error);
+      this.fail('INTERNAL_ERROR', error instanceof Error ? error.message : String(error));
+    });
+  }
+
+  private receiveBinary(data: Buffer) {
+    const frame = decodeAudioFrame(data);
+    const format =
+      frame?.type === BINARY_FRAME.AUDIO_PCM16
+        ? 'audio/pcm'
+        : frame?.type === BINARY_FRAME.AUDIO_OPUS && this.audioCodec === 'opus'
+          ? 'audio/opus'
+          : null;
+    if (!frame || !format) {
+      this.fail('MEDIA_REJECTED', 'Unsupported binary frame');
+      return;
+    }
+    this.session?.modelSession?.sendRealtimeInput([
+      { mimeType: `${format};rate=${frame.sampleRate}`, data: frame.payload.toString('base64') },
+    ]);
+  }
+
+  private async handleMessage(message: UpstreamMessage) {
+    if (message.type === 'ping') {
+      this.deliver({ type: 'pong', id: message.id, timestamp: message.timestamp });
+      return;
+    }
+
+    if (message.type === 'auth') {
+      this.authenticate(message.token);
+      return;
+    }
+
+    if (!this.authorized) {
+      this.fail('AUTH_FAILED', 'Authentication required');
+      this.sink.close(4401, 'Unauthorized');
+      return;
+    }
+
+    switch (message.type) {
+      case 'connect':
+        if (!this.isSupportedVersion(message.protocolVersion)) break;
+        await this.connect(message.model, message.config || {}, message.capabilities || {});
+        break;
+      case 'sendRealtimeInput':
+        if (this.audioCodec !== 'opus' && message.data?.some((chunk) => chunk.mimeType?.startsWith('audio/opus'))) {
+          this.fail('MEDIA_REJECTED', 'Opus audio was not negotiated');
+          break;
+        }
+        this.session?.modelSession?.sendRealtimeInput(message.data || []);
+        break;
+      case 'send': {
+        const turns = message.data?.turns;
+        const parts: Part[] = Array.isArray(turns) ? turns : turns ? [turns] : [];
+        this.session?.modelSession?.sendClientContent(parts, message.data?.turnComplete !== false);
+        break;
+      }
+      case 'sendToolResponse':
+        this.session?.modelSession?.sendToolResponse(message.data);
+        break;
+      case 'disconnect':
+        this.session?.end();
+        this.session = null;
+        this.sink.close(1000, 'Client disconnect');
+        break;
+    }
+  }
+
+  // Clients that predate versioning send no protocolVersion and speak version 1
+  private isSupportedVersion(version: number | undefined) {
+    if (version === undefined || (version >= MIN_PROTOCOL_VERSION && version <= PROTOCOL_VERSION)) {
+      return true;
+    }
+    this.fail(
+      'PROTOCOL_MISMATCH',
+      `Unsupported protocol version ${version}, relay supports ${MIN_PROTOCOL_VERSION}-${PROTOCOL_VERSION}`
+    );
+    this.sink.close(4400, 'Unsupported protocol version');
+    return false;
+  }
+
+  private authenticate(token: string) {
+    const secret = this.context.options.tokenSecret;
+    if (!secret) {
+      this.authorized = true;
+      return;
+    }
+
+    if (token && verifyVoiceToken(token, secret)) {
+      this.authorized = true;
+      return;
+    }
+
+    this.authorized = false;
+    this.fail('AUTH_FAILED', 'Invalid or expired auth token');
+    this.sink.close(4401, 'Unauthorized');
+  }
+
+  private async connect(
+    model: string,
+    config: SessionConfig,
+    capabilities: { binaryAudio?: boolean; audioCodecs?: AudioCodec[] }
+  ) {
+    const { sessionResumption, ...modelConfig } = config;
+    this.binaryAudio = capabilities.binaryAudio === true && this.sink.supportsBinary;
+    this.audioCodec = this.negotiateAudioCodec(capabilities.audioCodecs);
+
+    // Resume an existing conversation by handle
+    if (sessionResumption?.handle) {
+      const existing = this.context.sessions.get(sessionResumption.handle);
+      if (!existing) {
+        this.fail('SESSION_EXPIRED', 'Session resumption handle is invalid or expired');
+        return;
+      }
+      this.session?.end();
+      existing.attach(this);
+      this.session = existing;
+      this.deliverSetupComplete();
+      this.deliver({ type: 'sessionResumptionUpdate', data: { newHandle: existing.handle, resumable: true } });
+      return;
+    }
+
+    this.session?.end();
+    const session = new RelaySession(this.context.sessions);
+    session.attach(this);
+    this.session = session;
+    session.modelSession = await this.context.options.adapter.connect(model, modelConfig, session.events);
+
+    this.deliverSetupComplete();
+    if (sessionResumption) {
+      this.deliver({ type: 'sessionResumptionUpdate', data: { newHandle: session.handle, resumable: true } });
+    }
+  }
+
+  // First codec in the client's preference list that the adapter can take
+  private negotiateAudioCodec(offered: AudioCodec[] = []): AudioCodec {
+    const accepted = this.context.options.adapter.inputCodecs || [];
+    return offered.find((codec) => codec === 'pcm' || accepted.includes(codec)) || 'pcm';
+  }
+
+  private deliverSetupComplete() {
+    this.deliver({
+      type: 'setupComplete',
+      data: { binaryAudio: this.binaryAudio, protocolVersion: PROTOCOL_VERSION, audioCodec: this.audioCodec },
+    });
+  }
+
+  deliver(message: DownstreamMessage) {
+    this.sink.sendJson(message);
+  }
+
+  fail(code: ErrorCode, message: string) {
+    this.deliver({ type: 'error', message, code, retryable: RETRYABLE_ERRORS[code] });
+  }
+
+  deliverAudio(pcm: Buffer, sampleRate: number) {
+    if (this.binaryAudio) {
+      this.sink.sendBinary(encodeAudioFrame(pcm, sampleRate));
+    } else {
+      this.deliver({ type: 'audio', data: pcm.toString('base64'), sampleRate });
+    }
+  }
+
+  // Swap the transport under a live connection (an EventSource reconnecting)
+  replaceSink(sink: ConnectionSink) {
+    this.sink = sink;
+  }
+
+  // The transport went away: keep the session resumable for a while
+  closed() {
+    if (this.session?.connection === this) {
+      this.session.detach(this.context.resumeWindowMs);
+    }
+    this.session = null;
+  }
+}
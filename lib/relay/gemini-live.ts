@@ -0,0 +1,111 @@
+// File location: lib/relay/gemini-live.ts
+// Serves the Live API BidiGenerateContent message format on top of a model
+// adapter, so the bundle's direct `gemini-live` protocol mode can be exercised
+// against a local mock instead of Google's endpoint.
+import type { ModelAdapter, ModelSession, ModelSessionEvents } from './adapter';
+import type { Content, FunctionResponse, MediaChunk, Part, SessionConfig } from './protocol';
+
+export interface LiveSink {
+  send(message: Record<string, unknown>): void;
+  close(code?: number, reason?: string): void;
+}
+
+interface LiveClientMessage {
+  setup?: {
+    model: string;
+    generationConfig?: { responseModalities?: string[]; speechConfig?: SessionConfig['speechConfig'] };
+    systemInstruction?: { parts: Part[] };
+    tools?: SessionConfig['tools'];
+    inputAudioTranscription?: SessionConfig['inputAudioTranscription'];
+    outputAudioTranscription?: SessionConfig['outputAudioTranscription'];
+  };
+  realtimeInput?: { mediaChunks?: MediaChunk[]; audio?: MediaChunk; video?: MediaChunk };
+  clientContent?: { turns?: Content[]; turnComplete?: boolean };
+  toolResponse?: { functionResponses: FunctionResponse[] };
+}
+
+export class GeminiLiveConnection {
+  private modelSession: ModelSession | null = null;
+
+  constructor(
+    private readonly sink: LiveSink,
+    private readonly adapter: ModelAdapter
+  ) {}
+
+  private readonly events: ModelSessionEvents = {
+    content: (content) => this.sink.send({ serverContent: content }),
+    audio: (pcm, sampleRate) =>
+      this.sink.send({
+        serverContent: {
+          modelTurn: {
+            role: 'model',
+            parts: [{ inlineData: { mimeType: `audio/pcm;rate=${sampleRate}`, data: pcm.toString('base64') } }],
+          },
+        },
+      }),
+    toolCall: (toolCall) => this.sink.send({ toolCall }),
+    toolCallCancellation: (ids) => this.sink.send({ toolCallCancellation: { ids } }),
+    interrupted: () => this.sink.send({ serverContent: { interrupted: true } }),
+    turnComplete: () => this.sink.send({ serverContent: { turnComplete: true } }),
+    // The Live API reports fatal errors by closing the socket with a reason
+    error: (message) => this.sink.close(1011, message.slice(0, 120)),
+    log: () => {},
+  };
+
+  async receive(data: string) {
+    let message: LiveClientMessage;
+    try {
+      message = JSON.parse(data);
+    } catch {
+      this.sink.close(1007, 'Invalid JSON payload');
+      return;
+    }
+
+    if (message.setup) {
+      const {
+        model,
+        generationConfig = {},
+        systemInstruction,
+        tools,
+        inputAudioTranscription,
+        outputAudioTranscription,
+      } = message.setup;
+      this.modelSession?.close();
+      this.modelSession = await this.adapter.connect(
+        model,
+        {
+          responseModalities: generationConfig.responseModalities,
+          speechConfig: generationConfig.speechConfig,
+          systemInstruction,
+          tools,
+          inputAudioTranscription,
+          outputAudioTranscription,
+        },
+        this.events
+      );
+      this.sink.send({ setupComplete: {} });
+      return;
+    }
+
+    if (!this.modelSession) {
+      this.sink.close(1007, 'First message must be setup');
+      return;
+    }
+
+    if (message.realtimeInput) {
+      const { mediaChunks = [], audio, video } = message.realtimeInput;
+      const chunks = [...mediaChunks, ...(audio ? [audio] : []), ...(video ? [video] : [])];
+      this.modelSession.sendRealtimeInput(chunks);
+    } else if (message.clientContent) {
+      const parts = (message.clientContent.turns || []).flatMap((turn) => turn.parts || []);
+      this.modelSession.sendClientContent(parts, message.clientContent.turnComplete === true);
+    } else if (message.toolResponse) {
+      this.modelSession.sendToolResponse(message.toolResponse);
+    }
+  }
+
+  closed() {
+    this.modelSession?.close();
+    this.modelSession = null;
+  }
+}
@@ -0,0 +1,22 @@
+// File location: lib/relay/index.ts
+import type { ModelAdapter } from './adapter';
+import { MockAdapter } from './mock-adapter';
+
+export type { ModelAdapter, ModelSession, ModelSessionEvents } from './adapter';
+export type { ConnectionSink, RelayOptions } from './connection';
+export * from './protocol';
+export { MockAdapter } from './mock-adapter';
+export { createRelayServer, type RelayServerOptions } from './server';
+
+// Adapters selectable through RELAY_ADAPTER
+const adapters: Record<string, () => ModelAdapter> = {
+  mock: () => new MockAdapter(),
+};
+
+export function createAdapter(name = 'mock'): ModelAdapter {
+  const factory = adapters[name];
+  if (!factory) {
+    throw new Error(`Unknown relay adapter "${name}". Available: ${Object.keys(adapters).join(', ')}`);
+  }
+  return factory();
+}
@@ -0,0 +1,193 @@
+// File location: lib/relay/mock-adapter.ts
+import type { ModelAdapter, ModelSession, ModelSessionEvents } from './adapter';
+import type { AudioCodec, FunctionDeclaration, MediaChunk, Part, SessionConfig, ToolResponse } from './protocol';
+
+const OUTPUT_SAMPLE_RATE = 24000;
+const CHUNK_MS = 100;
+const TONE_MS = 600;
+const BARGE_IN_RMS = 0.05;
+
+// Offline stand-in for a real model: echoes text, answers audio with a short
+// summary, plays a tone as its "voice" and triggers tool calls on request
+// ("call <toolName> {json args}").
+export class MockAdapter implements ModelAdapter {
+  readonly name = 'mock';
+  readonly inputCodecs: AudioCodec[] = ['opus'];
+
+  async connect(model: string, config: SessionConfig, events: ModelSessionEvents): Promise<ModelSession> {
+    events.log('mock.connect', `Mock session for ${model}`);
+    return new MockSession(config, events);
+  }
+}
+
+class MockSession implements ModelSession {
+  private pendingText: string[] = [];
+  private audioSamples = 0;
+  private audioSampleRate = 16000;
+  private timers: NodeJS.Timeout[] = [];
+  private responding = false;
+  private callSequence = 0;
+  private readonly tools: FunctionDeclaration[];
+  private readonly transcribeInput: boolean;
+  private readonly transcribeOutput: boolean;
+
+  constructor(config: SessionConfig, private readonly events: ModelSessionEvents) {
+    this.tools = (config.tools || []).flatMap((tool) => tool.functionDeclarations || []);
+    this.transcribeInput = Boolean(config.inputAudioTranscription);
+    this.transcribeOutput = Boolean(config.outputAudioTranscription);
+  }
+
+  sendRealtimeInput(chunks: MediaChunk[]) {
+    for (const chunk of chunks) {
+      // Opus is not decoded: it only counts towards the heard duration
+      if (chunk.mimeType.startsWith('audio/opus')) {
+        this.audioSamples += (opusPacketDuration(Buffer.from(chunk.data, 'base64')) / 1000) * this.audioSampleRate;
+        continue;
+      }
+      if (!chunk.mimeType.startsWith('audio/pcm')) continue;
+
+      const pcm = Buffer.from(chunk.data, 'base64');
+      const rate = /rate=(\d+)/.exec(chunk.mimeType);
+      this.audioSampleRate = rate ? Number(rate[1]) : this.audioSampleRate;
+      this.audioSamples += pcm.length / 2;
+
+      // Loud input while we are "speaking" counts as the user barging in
+      if (this.responding && rms(pcm) > BARGE_IN_RMS) {
+        this.cancelResponse();
+        this.events.interrupted();
+      }
+    }
+  }
+
+  sendClientContent(turns: Part[], turnComplete: boolean) {
+    for (const part of turns) {
+      // Bracketed context updates ([PAGE_CONTEXT], [USER_ACTION], ...) are not echoed
+      if (part.text && !part.text.startsWith('[')) {
+        this.pendingText.push(part.text);
+      }
+    }
+
+    if (turnComplete) {
+      this.respond();
+    }
+  }
+
+  sendToolResponse(response: ToolResponse) {
+    const summary = response.functionResponses
+      .map((fn) => `${fn.name} returned ${JSON.stringify(fn.response)}`)
+      .join('; ');
+    this.speak(`Tool result: ${summary}`);
+  }
+
+  close() {
+    this.cancelResponse();
+  }
+
+  private respond() {
+    const text = this.pendingText.join(' ').trim();
+    const seconds = this.audioSamples / this.audioSampleRate;
+    this.pendingText = [];
+    this.audioSamples = 0;
+
+    const call = /^call\s+(\w+)\s*(\{.*\})?$/i.exec(text);
+    if (call && this.tools.some((tool) => tool.name === call[1])) {
+      this.callTool(call[1], call[2]);
+      return;
+    }
+
+    if (text) {
+      this.speak(`You said: ${text}`);
+    } else if (seconds > 0) {
+      // Nothing to recognise, so the "transcript" just describes what was heard
+      if (this.transcribeInput) {
+        this.events.content({ inputTranscription: { text: `(${seconds.toFixed(1)} seconds of speech)` } });
+      }
+      this.speak(`I heard ${seconds.toFixed(1)} seconds of audio.`);
+    }
+  }
+
+  private callTool(name: string, rawArgs?: string) {
+    let args: Record<string, unknown> = {};
+    try {
+      args = rawArgs ? JSON.parse(rawArgs) : {};
+    } catch {
+      this.events.error(`Could not parse arguments for ${name}`);
+      return;
+    }
+    this.events.toolCall({
+      functionCalls: [{ id: `mock-call-${++this.callSequence}`, name, args }],
+    });
+  }
+
+  // Stream the reply text followed by tone "speech", paced like a real model
+  private speak(text: string) {
+    this.cancelResponse();
+    this.responding = true;
+    this.events.content({
+      modelTurn: { role: 'model', parts: [{ text }] },
+      ...(this.transcribeOutput ? { outputTranscription: { text } } : {}),
+    });
+
+    const chunks = synthesizeTone(TONE_MS, OUTPUT_SAMPLE_RATE, CHUNK_MS);
+    chunks.forEach((chunk, index) => {
+      this.timers.push(setTimeout(() => this.events.audio(chunk, OUTPUT_SAMPLE_RATE), index * CHUNK_MS));
+    });
+    this.timers.push(
+      setTimeout(() => {
+        this.responding = false;
+        this.timers = [];
+        this.events.turnComplete();
+      }, chunks.length * CHUNK_MS)
+    );
+  }
+
+  private cancelResponse() {
+    this.timers.forEach(clearTimeout);
+    this.timers = [];
+    this.responding = false;
+  }
+}
+
+// 440 Hz sine with short fades, split into PCM16 LE chunks
+function synthesizeTone(durationMs: number, sampleRate: number, chunkMs: number) {
+  const total = Math.round((durationMs / 1000) * sampleRate);
+  const fade = Math.round(sampleRate * 0.02);
+  const pcm = Buffer.alloc(total * 2);
+
+  for (let i = 0; i < total; i++) {
+    const envelope = Math.min(1, i / fade, (total - i) / fade);
+    const sample = Math.sin((2 * Math.PI * 440 * i) / sampleRate) * 0.3 * envelope;
+    pcm.writeInt16LE(Math.round(sample * 32767), i * 2);
+  }
+
+  const chunkBytes = Math.round((chunkMs / 1000) * sampleRate) * 2;
+  const chunks: Buffer[] = [];
+  for (let offset = 0; offset < pcm.length; offset += chunkBytes) {
+    chunks.push(pcm.subarray(offset, offset + chunkBytes));
+  }
+  return chunks;
+}
+
+// Duration in ms of a raw Opus packet, from its TOC byte (RFC 6716 section 3.1)
+function opusPacketDuration(packet: Buffer) {
+  if (!packet.length) return 0;
+  const toc = packet[0];
+  const config = toc >> 3;
+  const frameMs =
+    config < 12 ? [10, 20, 40, 60][config % 4] : config < 16 ? [10, 20][config % 2] : [2.5, 5, 10, 20][config % 4];
+  const code = toc & 0x03;
+  const frames = code === 0 ? 1 : code === 3 ? (packet[1] ?? 0) & 0x3f : 2;
+  return frameMs * frames;
+}
+
+function rms(pcm: Buffer) {
+  const samples = Math.floor(pcm.length / 2);
+  if (!samples) return 0;
+
+  let sum = 0;
+  for (let i = 0; i < samples; i++) {
+    const value = pcm.readInt16LE(i * 2) / 32768;
+    sum += value * value;
+  }
+  return Math.sqrt(sum / samples);
+}
@@ -0,0 +1,195 @@
+// File location: lib/relay/protocol.ts
+// Wire protocol spoken between public/src/voice-assistant-bundle.js and the relay.
+// Every message is a JSON envelope with a `type`; realtime audio may also travel
+// as binary frames once both sides agree on it during `connect`.
+
+// Envelope protocol version. Clients offer theirs in `connect`; the relay answers
+// with its own in `setupComplete` or rejects the connection with PROTOCOL_MISMATCH.
+export const PROTOCOL_VERSION = 1;
+export const MIN_PROTOCOL_VERSION = 1;
+
+// Mirrors the codes the bundle normalizes errors into
+export type ErrorCode =
+  | 'AUTH_FAILED'
+  | 'QUOTA_EXCEEDED'
+  | 'MODEL_UNAVAILABLE'
+  | 'PROTOCOL_MISMATCH'
+  | 'MEDIA_REJECTED'
+  | 'INVALID_MESSAGE'
+  | 'SESSION_EXPIRED'
+  | 'INTERNAL_ERROR';
+
+export const RETRYABLE_ERRORS: Record<ErrorCode, boolean> = {
+  AUTH_FAILED: false,
+  QUOTA_EXCEEDED: true,
+  MODEL_UNAVAILABLE: true,
+  PROTOCOL_MISMATCH: false,
+  MEDIA_REJECTED: false,
+  INVALID_MESSAGE: false,
+  SESSION_EXPIRED: true,
+  INTERNAL_ERROR: true,
+};
+
+// Microphone audio formats. PCM16 is always accepted; compressed codecs are
+// offered by the client in `connect` and enabled when the adapter supports them.
+export type AudioCodec = 'pcm' | 'opus';
+
+export interface Part {
+  text?: string;
+  inlineData?: { mimeType: string; data: string };
+}
+
+export interface Content {
+  role?: 'user' | 'model';
+  parts: Part[];
+}
+
+export interface MediaChunk {
+  mimeType: string;
+  data: string; // base64
+}
+
+export interface FunctionDeclaration {
+  name: string;
+  description?: string;
+  parameters?: Record<string, unknown>;
+}
+
+export interface SessionConfig {
+  responseModalities?: string[];
+  speechConfig?: {
+    voiceConfig?: { prebuiltVoiceConfig?: { voiceName?: string } };
+  };
+  systemInstruction?: { parts: Part[] };
+  tools?: { functionDeclarations?: FunctionDeclaration[] }[];
+  sessionResumption?: { handle?: string };
+  // Present (as {}) to have the model transcribe the user's or its own speech
+  inputAudioTranscription?: Record<string, never>;
+  outputAudioTranscription?: Record<string, never>;
+  [key: string]: unknown;
+}
+
+export interface FunctionCall {
+  id: string;
+  name: string;
+  args?: Record<string, unknown>;
+}
+
+export interface ToolCall {
+  functionCalls: FunctionCall[];
+}
+
+export interface FunctionResponse {
+  id: string;
+  name: string;
+  response: Record<string, unknown>;
+}
+
+export interface ToolResponse {
+  functionResponses: FunctionResponse[];
+}
+
+export interface ServerContent {
+  modelTurn?: Content;
+  turnComplete?: boolean;
+  interrupted?: boolean;
+  inputTranscription?: { text: string };
+  outputTranscription?: { text: string };
+}
+
+export type UpstreamMessage =
+  | { type: 'auth'; token: string }
+  | {
+      type: 'connect';
+      model: string;
+      config: SessionConfig;
+      protocolVersion?: number;
+      capabilities?: { binaryAudio?: boolean; audioCodecs?: AudioCodec[] };
+    }
+  | { type: 'sendRealtimeInput'; data: MediaChunk[] }
+  | { type: 'send'; data: { turns: Part | Part[]; turnComplete: boolean } }
+  | { type: 'sendToolResponse'; data: ToolResponse }
+  | { type: 'ping'; id: number; timestamp: number }
+  | { type: 'disconnect' };
+
+export type DownstreamMessage =
+  | { type: 'setupComplete'; data?: { binaryAudio?: boolean; protocolVersion?: number; audioCodec?: AudioCodec } }
+  | { type: 'sessionResumptionUpdate'; data: { newHandle: string; resumable: boolean } }
+  | { type: 'content'; data: ServerContent }
+  // PCM16 LE model speech; sampleRate declares the output format (24000 when omitted)
+  | { type: 'audio'; data: string; sampleRate?: number }
+  | { type: 'toolCall'; data: ToolCall }
+  | { type: 'toolCallCancellation'; data: { ids: string[] } }
+  | { type: 'interrupted' }
+  | { type: 'turnComplete' }
+  | { type: 'pong'; id: number; timestamp: number }
+  | { type: 'error'; message: string; code?: ErrorCode; retryable?: boolean }
+  | { type: 'log'; data: { date: string; type: string; message: unknown } };
+
+type FieldRule = 'string' | 'number' | 'boolean' | 'object' | 'array';
+
+// Field specs per upstream type, keyed by dot path; `?` marks optional fields
+const UPSTREAM_SCHEMA: Record<UpstreamMessage['type'], Record<string, `${FieldRule}` | `${FieldRule}?`>> = {
+  auth: { token: 'string' },
+  connect: { model: 'string', config: 'object', protocolVersion: 'number?', capabilities: 'object?' },
+  sendRealtimeInput: { data: 'array' },
+  send: { data: 'object', 'data.turnComplete': 'boolean?' },
+  sendToolResponse: { data: 'object', 'data.functionResponses': 'array' },
+  ping: { id: 'number', timestamp: 'number' },
+  disconnect: {},
+};
+
+// Returns a description of the first problem, or null for a valid message
+export function validateUpstreamMessage(message: unknown): string | null {
+  if (!message || typeof message !== 'object' || typeof (message as { type?: unknown }).type !== 'string') {
+    return 'message has no type';
+  }
+
+  const { type } = message as { type: string };
+  const spec = UPSTREAM_SCHEMA[type as UpstreamMessage['type']];
+  if (!spec) return `Unknown message type: ${type}`;
+
+  for (const [path, rule] of Object.entries(spec)) {
+    const optional = rule.endsWith('?');
+    const expected = optional ? rule.slice(0, -1) : rule;
+    const value = path
+      .split('.')
+      .reduce<unknown>((node, key) => (node as Record<string, unknown> | undefined)?.[key], message);
+
+    if (value === undefined || value === null) {
+      if (!optional) return `${type}.${path} is required`;
+      continue;
+    }
+    const actual = Array.isArray(value) ? 'array' : typeof value;
+    if (actual !== expected) return `${type}.${path} should be ${expected}, got ${actual}`;
+  }
+  return null;
+}
+
+// Binary audio frame: [type u8][version u8][reserved u16][sampleRate u32 LE][payload]
+// The payload is PCM16 LE, or one raw Opus packet for AUDIO_OPUS
+export const BINARY_FRAME = {
+  HEADER_BYTES: 8,
+  VERSION: 1,
+  AUDIO_PCM16: 1,
+  AUDIO_OPUS: 2,
+} as const;
+
+export function encodeAudioFrame(pcm: Buffer, sampleRate: number) {
+  const frame = Buffer.alloc(BINARY_FRAME.HEADER_BYTES + pcm.length);
+  frame.writeUInt8(BINARY_FRAME.AUDIO_PCM16, 0);
+  frame.writeUInt8(BINARY_FRAME.VERSION, 1);
+  frame.writeUInt32LE(sampleRate, 4);
+  pcm.copy(frame, BINARY_FRAME.HEADER_BYTES);
+  return frame;
+}
+
+export function decodeAudioFrame(frame: Buffer) {
+  if (frame.length < BINARY_FRAME.HEADER_BYTES) return null;
+  if (frame.readUInt8(1) !== BINARY_FRAME.VERSION) return null;
+  return {
+    type: frame.readUInt8(0),
+    sampleRate: frame.readUInt32LE(4),
+    payload: frame.subarray(BINARY_FRAME.HEADER_BYTES),
+  };
+}
@@ -0,0 +1,212 @@
+// File location: lib/relay/server.ts
+import type { IncomingMessage, ServerResponse } from 'http';
+import type { Duplex } from 'stream';
+import { WebSocketServer, type WebSocket } from 'ws';
+import { verifyVoiceToken } from '../voice-token';
+import { RelayConnection, RelayContext, type ConnectionSink, type RelayOptions } from './connection';
+import { GeminiLiveConnection } from './gemini-live';
+
+export interface RelayServerOptions extends RelayOptions {
+  // Mount point: WebSocket at `${basePath}`, HTTP fallback at `${basePath}/events` and
+  // `${basePath}/messages`, mock Live API endpoint at `${basePath}/gemini-live`
+  basePath?: string;
+  // Optional static key accepted as `?apiKey=` for clients that cannot use tokens
+  apiKey?: string | null;
+}
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const SSE_KEEPALIVE_MS = 15000;
+const SSE_RECONNECT_GRACE_MS = 30000;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+// Reference relay speaking the bundle protocol over WebSocket and HTTP streaming.
+// `handleRequest` / `handleUpgrade` return false for URLs outside `basePath` so
+// the host server (Next.js) can take them.
+export function createRelayServer(options: RelayServerOptions) {
+  const basePath = (options.basePath || '/relay').replace(/\/$/, '');
+  const context = new RelayContext(options);
+  const wss = new WebSocketServer({ noServer: true });
+  const httpConnections = new Map<string, { connection: RelayConnection; graceTimer: NodeJS.Timeout | null }>();
+
+  function hasValidApiKey(url: URL) {
+    return !!options.apiKey && url.searchParams.get('apiKey') === options.apiKey;
+  }
+
+  function parseUrl(req: IncomingMessage) {
+    return new URL(req.url || '/', `http://${req.headers.host || 'localhost'}`);
+  }
+
+  // Live API clients authenticate in the URL with `key` or `access_token`
+  function isLiveClientAuthorized(url: URL) {
+    if (!options.tokenSecret) return true;
+    const key = url.searchParams.get('key');
+    if (options.apiKey && key === options.apiKey) return true;
+    const token = url.searchParams.get('access_token');
+    return !!token && !!verifyVoiceToken(token, options.tokenSecret);
+  }
+
+  function handleLiveUpgrade(req: IncomingMessage, socket: Duplex, head: Buffer, url: URL) {
+    if (!isLiveClientAuthorized(url)) {
+      socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws: WebSocket) => {
+      // Like the real Live API, JSON goes out in binary frames
+      const connection = new GeminiLiveConnection(
+        {
+          send: (message) => ws.readyState === ws.OPEN && ws.send(Buffer.from(JSON.stringify(message))),
+          close: (code, reason) => ws.close(code, reason),
+        },
+        options.adapter
+      );
+
+      ws.on('message', (data) => {
+        const buffer = Array.isArray(data) ? Buffer.concat(data) : Buffer.from(data as ArrayBuffer);
+        connection.receive(buffer.toString('utf8')).catch((error) => {
+          console.error('Live API mock failed to handle message:', error);
+          ws.close(1011, 'Internal error');
+        });
+      });
+      ws.on('close', () => connection.closed());
+      ws.on('error', (error) => console.error('Live API mock WebSocket error:', error));
+    });
+  }
+
+  function handleUpgrade(req: IncomingMessage, socket: Duplex, head: Buffer) {
+    const url = parseUrl(req);
+    if (url.pathname === `${basePath}/gemini-live`) {
+      handleLiveUpgrade(req, socket, head, url);
+      return true;
+    }
+    if (url.pathname !== basePath) return false;
+
+    wss.handleUpgrade(req, socket, head, (ws: WebSocket) => {
+      const sink: ConnectionSink = {
+        supportsBinary: true,
+        sendJson: (message) => ws.readyState === ws.OPEN && ws.send(JSON.stringify(message)),
+        sendBinary: (frame) => ws.readyState === ws.OPEN && ws.send(frame),
+        close: (code, reason) => ws.close(code, reason),
+      };
+      const connection = new RelayConnection(sink, context, { preAuthorized: hasValidApiKey(url) });
+
+      ws.on('message', (data, isBinary) => {
+        const buffer = Array.isArray(data) ? Buffer.concat(data) : Buffer.from(data as ArrayBuffer);
+        connection.receive(isBinary ? buffer : buffer.toString('utf8'));
+      });
+      ws.on('close', () => connection.closed());
+      ws.on('error', (error) => console.error('Relay WebSocket error:', error));
+    });
+    return true;
+  }
+
+  function handleRequest(req: IncomingMessage, res: ServerResponse) {
+    const url = parseUrl(req);
+    if (url.pathname !== `${basePath}/events` && url.pathname !== `${basePath}/messages`) {
+      return false;
+    }
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS).end();
+      return true;
+    }
+
+    const sessionId = url.searchParams.get('session');
+    if (!sessionId) {
+      res.writeHead(400, CORS_HEADERS).end('Missing session parameter');
+      return true;
+    }
+
+    if (url.pathname === `${basePath}/events` && req.method === 'GET') {
+      openEventStream(sessionId, url, req, res);
+    } else if (url.pathname === `${basePath}/messages` && req.method === 'POST') {
+      receiveMessage(sessionId, req, res);
+    } else {
+      res.writeHead(405, CORS_HEADERS).end();
+    }
+    return true;
+  }
+
+  function openEventStream(sessionId: string, url: URL, req: IncomingMessage, res: ServerResponse) {
+    res.writeHead(200, {
+      ...CORS_HEADERS,
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+    });
+    res.write(': connected\n\n');
+
+    const sink: ConnectionSink = {
+      supportsBinary: false,
+      sendJson: (message) => res.write(`data: ${JSON.stringify(message)}\n\n`),
+      sendBinary: () => {
+        throw new Error('Event streams cannot carry binary frames');
+      },
+      close: () => {
+        httpConnections.delete(sessionId);
+        res.end();
+      },
+    };
+
+    // EventSource reconnects with the same URL; keep the connection and swap its stream
+    const existing = httpConnections.get(sessionId);
+    if (existing) {
+      if (existing.graceTimer) clearTimeout(existing.graceTimer);
+      existing.graceTimer = null;
+      existing.connection.replaceSink(sink);
+    } else {
+      const connection = new RelayConnection(sink, context, { preAuthorized: hasValidApiKey(url) });
+      httpConnections.set(sessionId, { connection, graceTimer: null });
+    }
+
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), SSE_KEEPALIVE_MS);
+    req.on('close', () => {
+      clearInterval(keepalive);
+      const entry = httpConnections.get(sessionId);
+      if (!entry) return;
+      entry.graceTimer = setTimeout(() => {
+        httpConnections.delete(sessionId);
+        entry.connection.closed();
+      }, SSE_RECONNECT_GRACE_MS);
+    });
+  }
+
+  function receiveMessage(sessionId: string, req: IncomingMessage, res: ServerResponse) {
+    const entry = httpConnections.get(sessionId);
+    if (!entry) {
+      res.writeHead(404, CORS_HEADERS).end('Unknown session');
+      return;
+    }
+
+    const chunks: Buffer[] = [];
+    let size = 0;
+    req.on('data', (chunk: Buffer) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        res.writeHead(413, CORS_HEADERS).end();
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (res.headersSent) return;
+      entry.connection.receive(Buffer.concat(chunks).toString('utf8'));
+      res.writeHead(204, CORS_HEADERS).end();
+    });
+  }
+
+  function close() {
+    wss.clients.forEach((ws) => ws.close(1001, 'Relay shutting down'));
+    httpConnections.forEach(({ connection }) => connection.closed());
+    httpConnections.clear();
+    context.sessions.forEach((session) => session.end());
+  }
+
+  return { basePath, handleRequest, handleUpgrade, close };
+}
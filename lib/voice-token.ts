@@ -0,0 +1,88 @@
+// File location: lib/voice-token.ts
+import { createHmac, randomUUID, timingSafeEqual } from 'crypto';
+
+export interface VoiceTokenPayload {
+  sub: string;
+  iat: number;
+  exp: number;
+  jti: string;
+}
+
+const DEFAULT_TTL_SECONDS = 300;
+
+function base64url(input: Buffer | string) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function sign(data: string, secret: string) {
+  return createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+export function getTokenSecret() {
+  return process.env.VOICE_ASSISTANT_TOKEN_SECRET || null;
+}
+
+export function getTokenTtl() {
+  const ttl = Number(process.env.VOICE_ASSISTANT_TOKEN_TTL);
+  return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_TTL_SECONDS;
+}
+
+// Extra origins (comma-separated) allowed to request tokens besides the app's own
+export function getAllowedOrigins() {
+  return (process.env.VOICE_ASSISTANT_ALLOWED_ORIGINS || '')
+    .split(',')
+    .map((origin) => origin.trim())
+    .filter(Boolean);
+}
+
+// Browsers send `Origin` on POST, so a missing or foreign origin means the
+// request did not come from the app's own pages. Non-browser clients can set
+// any header they like: this stops other sites, not scripts.
+export function isAllowedOrigin(request: Request, allowedOrigins = getAllowedOrigins()) {
+  const origin = request.headers.get('origin');
+  if (!origin) return false;
+  if (allowedOrigins.includes(origin)) return true;
+
+  const host = request.headers.get('x-forwarded-host') || request.headers.get('host');
+  try {
+    return !!host && new URL(origin).host === host;
+  } catch {
+    return false;
+  }
+}
+
+// Mint a short-lived HMAC-signed token: base64url(payload).signature
+export function mintVoiceToken(secret: string, subject = 'anonymous', ttlSeconds = getTokenTtl()) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload: VoiceTokenPayload = {
+    sub: subject,
+    iat: now,
+    exp: now + ttlSeconds,
+    jti: randomUUID(),
+  };
+  const body = base64url(JSON.stringify(payload));
+  return {
+    token: `${body}.${sign(body, secret)}`,
+    expiresAt: payload.exp * 1000,
+  };
+}
+
+// Returns the payload for a valid, unexpired token, otherwise null
+export function verifyVoiceToken(token: string, secret: string): VoiceTokenPayload | null {
+  const [body, signature] = token.split('.');
+  if (!body || !signature) return null;
+
+  const expected = Buffer.from(sign(body, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8')) as VoiceTokenPayload;
+    if (typeof payload.exp !== 'number' || payload.exp * 1000 <= Date.now()) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
@@ -28,12 +28,37 @@
             let binary = '';
             const bytes = new Uint8Array(buffer);
             const len = bytes.byteLength;
-            for (let i = 0; i < len; i++) {
-                binary += String.fromCharCode(bytes[i]);
+            const chunkSize = 0x8000;
+            for (let i = 0; i < len; i += chunkSize) {
+                binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
             }
             return btoa(binary);
         },
 
+        // Wrap audio in a binary frame: [type u8][version u8][reserved u16][sampleRate u32 LE][payload]
+        encodeAudioFrame(buffer, sampleRate, type = BinaryFrame.AUDIO_PCM16) {
+            const payload = new Uint8Array(buffer);
+            const frame = new Uint8Array(BinaryFrame.HEADER_BYTES + payload.byteLength);
+            const view = new DataView(frame.buffer);
+            view.setUint8(0, type);
+            view.setUint8(1, BinaryFrame.VERSION);
+            view.setUint32(4, sampleRate, true);
+            frame.set(payload, BinaryFrame.HEADER_BYTES);
+            return frame.buffer;
+        },
+
+        // Returns { type, sampleRate, payload } or null for malformed frames
+        decodeAudioFrame(buffer) {
+            if (buffer.byteLength < BinaryFrame.HEADER_BYTES) return null;
+            const view = new DataView(buffer);
+            if (view.getUint8(1) !== BinaryFrame.VERSION) return null;
+            return {
+                type: view.getUint8(0),
+                sampleRate: view.getUint32(4, true),
+                payload: buffer.slice(BinaryFrame.HEADER_BYTES)
+            };
+        },
+
         // Create audio context with user interaction handling
         async audioContext(options = {}) {
             const didInteract = new Promise((resolve) => {
@@ -59,6 +84,25 @@
             }
         },
 
+        // localStorage throws in sandboxed iframes and some private modes
+        loadSettings(key) {
+            if (!key) return {};
+            try {
+                return JSON.parse(localStorage.getItem(key)) || {};
+            } catch (e) {
+                return {};
+            }
+        },
+
+        saveSettings(key, settings) {
+            if (!key) return;
+            try {
+                localStorage.setItem(key, JSON.stringify(settings));
+            } catch (e) {
+                console.warn('Could not save settings:', e);
+            }
+        },
+
         // Create worklet from source code
         createWorkletFromSrc(workletName, workletSrc) {
             const script = new Blob([`registerProcessor("${workletName}", ${workletSrc})`], {
@@ -68,6 +112,14 @@
         }
     };
 
+    // Binary WebSocket framing for realtime audio
+    const BinaryFrame = {
+        HEADER_BYTES: 8,
+        VERSION: 1,
+        AUDIO_PCM16: 1,
+        AUDIO_OPUS: 2  // One raw Opus packet; sampleRate is the encoder's input rate
+    };
+
     // =============================================================================
     // EVENT EMITTER
     // =============================================================================
@@ -96,6 +148,10 @@
             this.events[event].forEach(listener => listener.apply(this, args));
             return true;
         }
+
+        listenerCount(event) {
+            return this.events[event]?.length || 0;
+        }
     }
 
     // =============================================================================
@@ -103,25 +159,119 @@
     // =============================================================================
 
     const AudioWorklets = {
-        // Audio recording worklet for capturing microphone input
+        // Audio recording worklet for capturing microphone input. Resamples
+        // from the context rate to processorOptions.targetSampleRate with a
+        // windowed-sinc filter whose state carries across render quanta, and
+        // posts Int16 frames of processorOptions.frameDuration ms.
         AudioRecordingWorklet: `
         class AudioRecordingWorklet extends AudioWorkletProcessor {
-            buffer = new Int16Array(2048);
-            bufferWriteIndex = 0;
+            static PHASES = 128;
+            static ZERO_CROSSINGS = 16;
 
-            constructor() {
+            constructor(options) {
                 super();
-                this.hasAudio = false;
+                const { targetSampleRate = sampleRate, frameDuration = 100 } = options?.processorOptions || {};
+                this.ratio = sampleRate / targetSampleRate;
+                this.buffer = new Int16Array(Math.max(1, Math.round(targetSampleRate * frameDuration / 1000)));
+                this.bufferWriteIndex = 0;
+
+                if (this.ratio !== 1) {
+                    this.createFilter();
+                }
+            }
+
+            // One low-pass kernel per fractional input position. The cutoff
+            // sits below the output Nyquist so downsampling does not alias.
+            createFilter() {
+                const { PHASES, ZERO_CROSSINGS } = AudioRecordingWorklet;
+                const cutoff = Math.min(1, 1 / this.ratio) * 0.9;
+                this.halfLength = Math.ceil(ZERO_CROSSINGS / cutoff);
+                const taps = this.halfLength * 2;
+
+                this.kernels = [];
+                for (let phase = 0; phase <= PHASES; phase++) {
+                    const kernel = new Float32Array(taps);
+                    const fraction = phase / PHASES;
+                    let sum = 0;
+                    for (let j = 0; j < taps; j++) {
+                        // Distance from the output instant to input sample j
+                        const x = j - this.halfLength + 1 - fraction;
+                        const sinc = x === 0 ? 1 : Math.sin(Math.PI * cutoff * x) / (Math.PI * cutoff * x);
+                        const w = (x + this.halfLength) / (2 * this.halfLength);
+                        const blackman = 0.42 - 0.5 * Math.cos(2 * Math.PI * w) + 0.08 * Math.cos(4 * Math.PI * w);
+                        kernel[j] = sinc * Math.max(0, blackman);
+                        sum += kernel[j];
+                    }
+                    // Unity gain at DC for every phase
+                    for (let j = 0; j < taps; j++) {
+                        kernel[j] /= sum;
+                    }
+                    this.kernels.push(kernel);
+                }
+
+                // Input history: starts with silence so the first outputs
+                // have a full window
+                this.history = new Float32Array(taps + 256);
+                this.historyLength = taps;
+                this.position = this.halfLength - 1;
             }
 
             process(inputs) {
                 if (inputs[0].length) {
                     const channel0 = inputs[0][0];
-                    this.processChunk(channel0);
+                    if (this.ratio === 1) {
+                        this.processChunk(channel0);
+                    } else {
+                        this.resample(channel0);
+                    }
                 }
                 return true;
             }
 
+            resample(input) {
+                const { PHASES } = AudioRecordingWorklet;
+                const taps = this.halfLength * 2;
+
+                if (this.historyLength + input.length > this.history.length) {
+                    const grown = new Float32Array((this.historyLength + input.length) * 2);
+                    grown.set(this.history.subarray(0, this.historyLength));
+                    this.history = grown;
+                }
+                this.history.set(input, this.historyLength);
+                this.historyLength += input.length;
+
+                // position is the output instant in input samples; kernel tap j
+                // reads history[start + j]
+                while (Math.floor(this.position) + this.halfLength < this.historyLength) {
+                    const index = Math.floor(this.position);
+                    const kernel = this.kernels[Math.round((this.position - index) * PHASES)];
+                    const start = index - this.halfLength + 1;
+
+                    let sample = 0;
+                    for (let j = 0; j < taps; j++) {
+                        sample += this.history[start + j] * kernel[j];
+                    }
+                    this.writeSample(sample);
+                    this.position += this.ratio;
+                }
+
+                // Keep only the samples later outputs still need
+                const keepFrom = Math.floor(this.position) - this.halfLength + 1;
+                if (keepFrom > 0) {
+                    this.history.copyWithin(0, keepFrom, this.historyLength);
+                    this.historyLength -= keepFrom;
+                    this.position -= keepFrom;
+                }
+            }
+
+            writeSample(value) {
+                const s = Math.max(-1, Math.min(1, value));
+                this.buffer[this.bufferWriteIndex++] = s < 0 ? s * 32768 : s * 32767;
+                if (this.bufferWriteIndex >= this.buffer.length) {
+                    this.sendAndClearBuffer();
+                }
+            }
+
             sendAndClearBuffer() {
                 this.port.postMessage({
                     event: "chunk",
@@ -136,15 +286,7 @@
                 const l = float32Array.length;
 
                 for (let i = 0; i < l; i++) {
-                    const int16Value = float32Array[i] * 32768;
-                    this.buffer[this.bufferWriteIndex++] = int16Value;
-                    if (this.bufferWriteIndex >= this.buffer.length) {
-                        this.sendAndClearBuffer();
-                    }
-                }
-
-                if (this.bufferWriteIndex >= this.buffer.length) {
-                    this.sendAndClearBuffer();
+                    this.writeSample(float32Array[i]);
                 }
             }
         }
@@ -197,6 +339,159 @@
                 return true
             }
         }
+    `,
+        // Voice activity detection: frame energy against an adaptive noise
+        // floor, with a minimum speech duration before onset and a hangover
+        // before offset
+        VadWorklet: `
+        class VadWorklet extends AudioWorkletProcessor {
+            constructor() {
+                super();
+                this.frameSize = Math.round(sampleRate / 100); // 10ms frames
+                this.frameMs = 10;
+                this.frameEnergy = 0;
+                this.frameFill = 0;
+
+                this.noiseFloor = -60;
+                this.calibrationFrames = 20; // First 200ms only measure the room
+                this.speaking = false;
+                this.speechMs = 0;
+                this.silenceMs = 0;
+                this.onsetMs = 0;
+
+                this.configure({ sensitivity: 0.5, hangoverMs: 1000, minSpeechMs: 150 });
+                this.port.onmessage = event => this.configure(event.data);
+            }
+
+            // Higher sensitivity means a smaller margin above the noise floor
+            configure(options) {
+                if (typeof options.sensitivity === 'number') {
+                    this.sensitivity = Math.min(1, Math.max(0, options.sensitivity));
+                    this.margin = 6 + (1 - this.sensitivity) * 12;
+                }
+                if (typeof options.hangoverMs === 'number') this.hangoverMs = options.hangoverMs;
+                if (typeof options.minSpeechMs === 'number') this.minSpeechMs = options.minSpeechMs;
+            }
+
+            process(inputs) {
+                const input = inputs[0];
+                if (input.length) {
+                    const samples = input[0];
+                    for (let i = 0; i < samples.length; i++) {
+                        this.frameEnergy += samples[i] * samples[i];
+                        if (++this.frameFill >= this.frameSize) {
+                            this.processFrame(10 * Math.log10(this.frameEnergy / this.frameFill + 1e-10));
+                            this.frameEnergy = 0;
+                            this.frameFill = 0;
+                        }
+                    }
+                }
+                return true;
+            }
+
+            processFrame(energy) {
+                if (this.calibrationFrames > 0) {
+                    this.noiseFloor = this.calibrationFrames === 20
+                        ? energy
+                        : this.noiseFloor + (energy - this.noiseFloor) * 0.2;
+                    this.calibrationFrames--;
+                    return;
+                }
+
+                const threshold = this.noiseFloor + this.margin;
+                // Hysteresis: once speaking, a slightly quieter frame still counts
+                const isSpeech = energy > (this.speaking ? threshold - 3 : threshold);
+
+                this.updateNoiseFloor(energy, isSpeech);
+
+                if (!this.speaking) {
+                    this.onsetMs = isSpeech ? this.onsetMs + this.frameMs : 0;
+                    if (this.onsetMs >= this.minSpeechMs) {
+                        this.speaking = true;
+                        this.speechMs = this.onsetMs;
+                        this.silenceMs = 0;
+                        this.port.postMessage({ event: 'speechstart', noiseFloor: this.noiseFloor });
+                    }
+                    return;
+                }
+
+                this.speechMs += this.frameMs;
+                this.silenceMs = isSpeech ? 0 : this.silenceMs + this.frameMs;
+                if (this.silenceMs >= this.hangoverMs) {
+                    this.speaking = false;
+                    this.onsetMs = 0;
+                    this.port.postMessage({
+                        event: 'speechend',
+                        duration: this.speechMs - this.silenceMs,
+                        noiseFloor: this.noiseFloor
+                    });
+                }
+            }
+
+            // Falls quickly to quieter frames and rises slowly, so steady room
+            // noise becomes the new floor (within ~1s, or ~5s while "speaking")
+            // while pauses between words keep pulling it back down
+            updateNoiseFloor(energy, isSpeech) {
+                if (energy < this.noiseFloor) {
+                    this.noiseFloor += (energy - this.noiseFloor) * 0.2;
+                } else {
+                    const rate = this.speaking || isSpeech ? 0.002 : 0.01;
+                    this.noiseFloor += (energy - this.noiseFloor) * rate;
+                }
+                this.noiseFloor = Math.max(-90, this.noiseFloor);
+            }
+        }
+    `,
+        // Noise gate: a peak envelope opens the gate above `threshold` dB, it
+        // stays open for `hold` ms after the level drops (6 dB of hysteresis)
+        // and then fades to `range` dB below unity. Times are in ms.
+        NoiseGateWorklet: `
+        class NoiseGateWorklet extends AudioWorkletProcessor {
+            constructor(options) {
+                super();
+                this.envelope = 0;
+                this.gain = 1;
+                this.holdLeft = 0;
+                this.envelopeDecay = Math.exp(-1 / (0.02 * sampleRate));
+                this.configure({ threshold: -50, range: -40, attack: 2, hold: 150, release: 150 });
+                this.configure(options.processorOptions || {});
+                this.port.onmessage = event => this.configure(event.data);
+            }
+
+            configure(options) {
+                const coefficient = ms => Math.exp(-1 / (Math.max(ms, 0.1) / 1000 * sampleRate));
+                if (typeof options.threshold === 'number') this.threshold = Math.pow(10, options.threshold / 20);
+                if (typeof options.range === 'number') this.floor = Math.pow(10, Math.min(0, options.range) / 20);
+                if (typeof options.attack === 'number') this.attackCoef = coefficient(options.attack);
+                if (typeof options.release === 'number') this.releaseCoef = coefficient(options.release);
+                if (typeof options.hold === 'number') this.holdSamples = Math.round(options.hold / 1000 * sampleRate);
+            }
+
+            process(inputs, outputs) {
+                const input = inputs[0];
+                const output = outputs[0];
+                if (!input.length) return true;
+
+                const samples = input[0];
+                for (let i = 0; i < samples.length; i++) {
+                    this.envelope = Math.max(Math.abs(samples[i]), this.envelope * this.envelopeDecay);
+                    const threshold = this.holdLeft > 0 ? this.threshold * 0.5 : this.threshold;
+                    if (this.envelope > threshold) {
+                        this.holdLeft = this.holdSamples + 1;
+                    } else if (this.holdLeft > 0) {
+                        this.holdLeft--;
+                    }
+
+                    const target = this.holdLeft > 0 ? 1 : this.floor;
+                    const coef = target > this.gain ? this.attackCoef : this.releaseCoef;
+                    this.gain = target + (this.gain - target) * coef;
+                    for (let channel = 0; channel < output.length; channel++) {
+                        output[channel][i] = (input[channel] || samples)[i] * this.gain;
+                    }
+                }
+                return true;
+            }
+        }
     `
     };
 
@@ -294,20 +589,64 @@
     // VIDEO STREAMER CLASS
     // =============================================================================
 
+    // Frame sampling per video source. Intervals are in ms. Thresholds are the
+    // mean luminance difference (0-255) from the last frame sent: above
+    // `changeThreshold` a frame goes out once `minInterval` has passed, above
+    // `sceneChangeThreshold` it goes out right away. Without changes a frame
+    // still goes out every `maxInterval`.
+    const VIDEO_SAMPLING_PRESETS = {
+        camera: {
+            checkInterval: 500,
+            minInterval: 2000,
+            maxInterval: 10000,
+            changeThreshold: 8,
+            sceneChangeThreshold: 40,
+            scale: 0.25,
+            maxWidth: 640,
+            quality: 0.7
+        },
+        // Screens are static most of the time but small text changes matter
+        screen: {
+            checkInterval: 250,
+            minInterval: 1000,
+            maxInterval: 15000,
+            changeThreshold: 1.5,
+            sceneChangeThreshold: 12,
+            scale: 0.5,
+            maxWidth: 1280,
+            quality: 0.8
+        }
+    };
+
+    // Width of the luminance thumbnail frames are compared on
+    const LUMINANCE_WIDTH = 64;
+
     class VideoStreamer {
-        constructor(client) {
+        constructor(client, presets = VIDEO_SAMPLING_PRESETS) {
             this.client = client;
+            this.presets = presets;
+            this.sampling = presets.camera;
             this.canvas = null;
             this.context = null;
+            this.thumbnail = null;
+            this.thumbnailContext = null;
             this.video = null;
             this.isStreaming = false;
             this.frameInterval = null;
-            this.frameRate = 0.5; // 0.5 FPS to reduce bandwidth
+            this.lastLuminance = null;
+            this.lastSentAt = -Infinity;
+            this.stats = { framesSent: 0, framesSkipped: 0, sceneChanges: 0, lastDifference: 0 };
         }
 
-        start(videoStream) {
+        // `source` picks the sampling preset: 'camera' or 'screen'
+        start(videoStream, source = 'camera') {
             if (!videoStream || this.isStreaming) return;
 
+            this.sampling = { ...VIDEO_SAMPLING_PRESETS.camera, ...this.presets[source] };
+            this.lastLuminance = null;
+            this.lastSentAt = -Infinity;
+            this.stats = { framesSent: 0, framesSkipped: 0, sceneChanges: 0, lastDifference: 0 };
+
             // Create hidden video element
             this.video = document.createElement('video');
             this.video.style.display = 'none';
@@ -322,44 +661,116 @@
             this.context = this.canvas.getContext('2d');
             document.body.appendChild(this.canvas);
 
+            // Small canvas for the change detection, read back on every check
+            this.thumbnail = document.createElement('canvas');
+            this.thumbnailContext = this.thumbnail.getContext('2d', { willReadFrequently: true });
+
             this.video.onloadedmetadata = () => {
-                this.canvas.width = this.video.videoWidth * 0.25; // Scale down for performance
-                this.canvas.height = this.video.videoHeight * 0.25;
+                this.resizeCanvases();
                 this.startFrameCapture();
             };
+            // Rotated cameras and resized shared windows change the frame size
+            this.video.onresize = () => this.resizeCanvases();
 
             this.isStreaming = true;
         }
 
+        resizeCanvases() {
+            const { videoWidth, videoHeight } = this.video;
+            if (!videoWidth || !videoHeight) return;
+
+            const scale = Math.min(this.sampling.scale, this.sampling.maxWidth / videoWidth);
+            this.canvas.width = Math.round(videoWidth * scale); // Scale down for performance
+            this.canvas.height = Math.round(videoHeight * scale);
+            this.thumbnail.width = LUMINANCE_WIDTH;
+            this.thumbnail.height = Math.max(1, Math.round(LUMINANCE_WIDTH * videoHeight / videoWidth));
+            // Comparing against a different size means nothing, send the new picture
+            this.lastLuminance = null;
+        }
+
         startFrameCapture() {
             if (!this.isStreaming || !this.video || !this.canvas || !this.context) return;
 
-            const captureFrame = () => {
+            const check = () => {
                 if (!this.isStreaming) return;
 
                 try {
-                    if (this.canvas.width > 0 && this.canvas.height > 0) {
-                        this.context.drawImage(this.video, 0, 0, this.canvas.width, this.canvas.height);
-                        const base64 = this.canvas.toDataURL('image/jpeg', 0.7);
-                        const data = base64.slice(base64.indexOf(',') + 1);
-
-                        // Send frame to client
-                        this.client.sendRealtimeInput([{
-                            mimeType: 'image/jpeg',
-                            data
-                        }]);
-                    }
+                    this.sampleFrame();
                 } catch (error) {
                     console.error('Error capturing video frame:', error);
                 }
 
-                // Schedule next frame
+                // Schedule next check
                 if (this.isStreaming) {
-                    this.frameInterval = setTimeout(captureFrame, 1000 / this.frameRate);
+                    this.frameInterval = setTimeout(check, this.sampling.checkInterval);
                 }
             };
 
-            captureFrame();
+            check();
+        }
+
+        sampleFrame() {
+            if (this.video.readyState < 2 || !this.canvas.width || !this.canvas.height) return;
+
+            const luminance = this.readLuminance();
+            const difference = this.lastLuminance
+                ? VideoStreamer.luminanceDifference(luminance, this.lastLuminance)
+                : Infinity;
+            const elapsed = performance.now() - this.lastSentAt;
+            const { minInterval, maxInterval, changeThreshold, sceneChangeThreshold } = this.sampling;
+
+            const sceneChange = difference >= sceneChangeThreshold;
+            if (!sceneChange && elapsed < maxInterval && (elapsed < minInterval || difference < changeThreshold)) {
+                this.stats.framesSkipped++;
+                return;
+            }
+
+            if (sceneChange && this.lastLuminance) {
+                this.stats.sceneChanges++;
+            }
+            this.stats.lastDifference = Number.isFinite(difference) ? difference : 0;
+            this.sendFrame();
+            this.lastLuminance = luminance;
+            this.lastSentAt = performance.now();
+        }
+
+        readLuminance() {
+            const { width, height } = this.thumbnail;
+            this.thumbnailContext.drawImage(this.video, 0, 0, width, height);
+            const pixels = this.thumbnailContext.getImageData(0, 0, width, height).data;
+            const luminance = new Uint8Array(width * height);
+            for (let i = 0, p = 0; i < luminance.length; i++, p += 4) {
+                // Rec. 601 luma in integer arithmetic
+                luminance[i] = (pixels[p] * 77 + pixels[p + 1] * 150 + pixels[p + 2] * 29) >> 8;
+            }
+            return luminance;
+        }
+
+        // Mean absolute difference, 0-255
+        static luminanceDifference(a, b) {
+            if (a.length !== b.length) return Infinity;
+            let sum = 0;
+            for (let i = 0; i < a.length; i++) {
+                sum += Math.abs(a[i] - b[i]);
+            }
+            return sum / a.length;
+        }
+
+        sendFrame() {
+            this.context.drawImage(this.video, 0, 0, this.canvas.width, this.canvas.height);
+            const base64 = this.canvas.toDataURL('image/jpeg', this.sampling.quality);
+            const data = base64.slice(base64.indexOf(',') + 1);
+
+            // Send frame to client
+            this.client.sendRealtimeInput([{
+                mimeType: 'image/jpeg',
+                data
+            }]);
+            this.stats.framesSent++;
+        }
+
+        getStats() {
+            return { ...this.stats };
         }
 
         stop() {
@@ -371,6 +782,7 @@
             }
 
             if (this.video) {
+                this.video.onresize = null;
                 this.video.remove();
                 this.video = null;
             }
@@ -380,6 +792,9 @@
                 this.canvas = null;
                 this.context = null;
             }
+            this.thumbnail = null;
+            this.thumbnailContext = null;
+            this.lastLuminance = null;
         }
     }
 
@@ -504,7 +919,7 @@
 
         getHeadingStructure() {
             const headings = [];
-            document.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(heading => {
+            this.getHeadingElements().forEach(heading => {
                 if (this.isElementVisible(heading)) {
                     headings.push({
                         level: parseInt(heading.tagName.charAt(1)),
@@ -585,7 +1000,7 @@
         analyzeForms() {
             const forms = [];
 
-            document.querySelectorAll('form').forEach(form => {
+            this.getFormElements().forEach(form => {
                 if (this.isElementVisible(form)) {
                     const formData = {
                         action: form.action || '',
@@ -595,7 +1010,7 @@
                     };
 
                     // Analyze form fields
-                    form.querySelectorAll('input, select, textarea').forEach(field => {
+                    this.getFieldElements(form).forEach(field => {
                         const fieldInfo = {
                             type: field.type || field.tagName.toLowerCase(),
                             name: field.name || '',
@@ -635,10 +1050,31 @@
             return '';
         }
 
+        // Raw element queries shared by the analyzers and page actions
+        getFormElements() {
+            return Array.from(document.querySelectorAll('form'));
+        }
+
+        getFieldElements(root = document) {
+            return Array.from(root.querySelectorAll('input, select, textarea'));
+        }
+
+        getButtonElements() {
+            return Array.from(document.querySelectorAll('button, input[type="button"], input[type="submit"], [role="button"]'));
+        }
+
+        getLinkElements() {
+            return Array.from(document.querySelectorAll('a[href]'));
+        }
+
+        getHeadingElements() {
+            return Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6'));
+        }
+
         // Find interactive elements
         findButtons() {
             const buttons = [];
-            document.querySelectorAll('button, input[type="button"], input[type="submit"], [role="button"]').forEach(btn => {
+            this.getButtonElements().forEach(btn => {
                 if (this.isElementVisible(btn)) {
                     buttons.push({
                         text: btn.textContent.trim() || btn.value || '',
@@ -654,7 +1090,7 @@
 
         findLinks() {
             const links = [];
-            document.querySelectorAll('a[href]').forEach(link => {
+            this.getLinkElements().forEach(link => {
                 if (this.isElementVisible(link) && link.textContent.trim()) {
                     links.push({
                         text: link.textContent.trim(),
@@ -878,7 +1314,8 @@
                     classes: Array.from(e.target.classList),
                     id: e.target.id || '',
                     timestamp: new Date().toISOString(),
-                    coordinates: { x: e.clientX, y: e.clientY }
+                    coordinates: { x: e.clientX, y: e.clientY },
+                    trusted: e.isTrusted
                 };
 
                 this.logInteraction(interaction);
@@ -896,7 +1333,8 @@
                     name: e.target.name || '',
                     placeholder: e.target.placeholder || '',
                     value: e.target.value?.slice(0, 100) || '', // Limit value length
-                    timestamp: new Date().toISOString()
+                    timestamp: new Date().toISOString(),
+                    trusted: e.isTrusted
                 };
 
                 this.logInteraction(interaction);
@@ -1067,169 +1505,1887 @@
     }
 
     // =============================================================================
-    // WEBSOCKET LIVE CLIENT (Based on your websocket-live-client.ts)
+    // PAGE ACTIONS (Built-in tools acting on PageAccessor elements)
     // =============================================================================
 
-    class WebSocketLiveClient extends EventEmitter {
-        constructor(backendUrl, apiKey = null) {
-            super();
-            this.backendUrl = backendUrl;
-            this.apiKey = apiKey;
-            this.ws = null;
-            this._status = 'disconnected';
-            this._model = null;
-            this.config = null;
-            this.reconnectAttempts = 0;
-            this.maxReconnectAttempts = 5;
-            this.reconnectDelay = 1000;
-
-            this.send = this.send.bind(this);
-        }
-
-        get status() {
-            return this._status;
+    class PageActions {
+        constructor(pageAccessor) {
+            this.pageAccessor = pageAccessor;
+        }
+
+        // Tool definitions ready for ToolRegistry.register()
+        getTools() {
+            return [
+                {
+                    name: 'click_element',
+                    description: 'Click a button on the current page, identified by its visible text or id.',
+                    parameters: {
+                        type: 'object',
+                        properties: {
+                            target: { type: 'string', description: 'Visible text or id of the button' }
+                        },
+                        required: ['target']
+                    },
+                    handler: ({ target }) => this.clickElement(target)
+                },
+                {
+                    name: 'fill_form_field',
+                    description: 'Type a value into a form field, identified by its label, name, placeholder or id.',
+                    parameters: {
+                        type: 'object',
+                        properties: {
+                            field: { type: 'string', description: 'Label, name, placeholder or id of the field' },
+                            value: { type: 'string', description: 'Value to enter' }
+                        },
+                        required: ['field', 'value']
+                    },
+                    handler: ({ field, value }) => this.fillFormField(field, value)
+                },
+                {
+                    name: 'scroll_to_section',
+                    description: 'Scroll the page to a section, identified by its heading text or id.',
+                    parameters: {
+                        type: 'object',
+                        properties: {
+                            section: { type: 'string', description: 'Heading text or id of the section' }
+                        },
+                        required: ['section']
+                    },
+                    handler: ({ section }) => this.scrollToSection(section)
+                },
+                {
+                    name: 'follow_link',
+                    description: 'Follow a link on the current page, identified by its visible text.',
+                    parameters: {
+                        type: 'object',
+                        properties: {
+                            target: { type: 'string', description: 'Visible text or id of the link' }
+                        },
+                        required: ['target']
+                    },
+                    handler: ({ target }) => this.followLink(target)
+                },
+                {
+                    name: 'submit_form',
+                    description: 'Submit a form on the current page. Submits the first visible form when no form is given.',
+                    parameters: {
+                        type: 'object',
+                        properties: {
+                            form: { type: 'string', description: 'Id, name or action of the form' }
+                        }
+                    },
+                    handler: ({ form }) => this.submitForm(form)
+                }
+            ];
         }
 
-        get model() {
-            return this._model;
-        }
+        clickElement(target) {
+            const button = this.resolve(this.pageAccessor.getButtonElements(), target, el =>
+                [el.id, el.textContent, el.value, el.getAttribute('aria-label')]
+            );
+            this.assertUsable(button, target);
 
-        getConfig() {
-            return { ...this.config };
+            button.click();
+            return { success: true, clicked: this.describe(button) };
         }
 
-        log(type, message) {
-            const log = {
-                date: new Date(),
-                type,
-                message,
-            };
-            this.emit('log', log);
-        }
+        fillFormField(fieldName, value) {
+            const field = this.resolve(this.pageAccessor.getFieldElements(), fieldName, el =>
+                [el.id, el.name, el.placeholder, this.pageAccessor.getFieldLabel(el)]
+            );
+            this.assertUsable(field, fieldName);
 
-        setupWebSocket() {
-            try {
-                // Add API key to WebSocket URL if provided
-                let wsUrl = this.backendUrl;
-                if (this.apiKey) {
-                    const separator = wsUrl.includes('?') ? '&' : '?';
-                    wsUrl += `${separator}apiKey=${encodeURIComponent(this.apiKey)}`;
+            if (field.type === 'checkbox' || field.type === 'radio') {
+                field.checked = !['false', 'no', 'off', '0', ''].includes(String(value).toLowerCase());
+            } else {
+                // Use the native setter so frameworks tracking the value notice the change
+                const setter = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(field), 'value')?.set;
+                if (setter) {
+                    setter.call(field, value);
+                } else {
+                    field.value = value;
                 }
+            }
 
-                this.ws = new WebSocket(wsUrl);
-
-                this.ws.onopen = () => {
-                    console.log('Connected to backend WebSocket');
-                    this._status = 'connected';
-                    this.reconnectAttempts = 0;
-                    this.emit('open');
-                    this.log('client.open', 'Connected to backend');
-                };
+            field.dispatchEvent(new Event('input', { bubbles: true }));
+            field.dispatchEvent(new Event('change', { bubbles: true }));
+            return { success: true, field: this.describe(field) };
+        }
 
-                this.ws.onmessage = (event) => {
-                    try {
-                        const data = JSON.parse(event.data);
-                        this.handleBackendMessage(data);
-                    } catch (error) {
-                        console.error('Error parsing WebSocket message:', error);
-                    }
-                };
+        scrollToSection(section) {
+            const sections = [
+                ...this.pageAccessor.getHeadingElements(),
+                ...document.querySelectorAll('section[id], [id][role="region"]')
+            ];
+            const heading = this.resolve(sections, section, el => [el.id, el.textContent]);
+            this.assertVisible(heading, section);
 
-                this.ws.onclose = (event) => {
-                    console.log('WebSocket connection closed:', event.code, event.reason);
-                    this._status = 'disconnected';
-                    this.emit('close', event);
-                    this.log(
-                        'client.close',
-                        `Disconnected: ${event.reason || 'Connection closed'}`
-                    );
+            heading.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            return { success: true, section: this.describe(heading) };
+        }
 
-                    // Attempt to reconnect if not a clean close
-                    if (
-                        event.code !== 1000 &&
-                        this.reconnectAttempts < this.maxReconnectAttempts
-                    ) {
-                        setTimeout(() => {
-                            this.reconnectAttempts++;
-                            console.log(
-                                `Reconnection attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts}`
-                            );
-                            this.setupWebSocket();
-                        }, this.reconnectDelay * this.reconnectAttempts);
-                    }
-                };
+        followLink(target) {
+            const link = this.resolve(this.pageAccessor.getLinkElements(), target, el =>
+                [el.id, el.textContent, el.getAttribute('aria-label')]
+            );
+            this.assertVisible(link, target);
+
+            link.click();
+            return { success: true, href: link.href, isExternal: link.hostname !== window.location.hostname };
+        }
+
+        submitForm(target) {
+            const forms = this.pageAccessor.getFormElements();
+            const form = target
+                ? this.resolve(forms, target, el => [el.id, el.name, el.getAttribute('action')])
+                : forms.find(el => this.pageAccessor.isElementVisible(el)) || forms[0];
+            this.assertVisible(form, target || 'form');
+
+            if (!form.checkValidity()) {
+                const invalid = this.pageAccessor.getFieldElements(form)
+                    .filter(field => field.willValidate && !field.checkValidity())
+                    .map(field => ({
+                        field: this.pageAccessor.getFieldLabel(field) || field.name || field.id,
+                        message: field.validationMessage
+                    }));
+                throw this.actionError('FORM_INVALID', 'Form has invalid fields', { invalid });
+            }
 
-                this.ws.onerror = (error) => {
-                    console.error('WebSocket error:', error);
-                    this.emit('error', error);
-                    this.log('client.error', 'WebSocket connection error');
-                };
-            } catch (error) {
-                console.error('Failed to create WebSocket connection:', error);
-                this._status = 'disconnected';
+            if (typeof form.requestSubmit === 'function') {
+                form.requestSubmit();
+            } else {
+                form.submit();
             }
+            return { success: true, action: form.action || '', method: form.method || 'get' };
         }
 
-        handleBackendMessage(data) {
-            switch (data.type) {
-                case 'connected':
-                    this.emit('open');
-                    break;
-                case 'disconnected':
-                    this._status = 'disconnected';
-                    this.emit('close', new CloseEvent('close'));
-                    break;
-                case 'setupComplete':
-                    this.emit('setupcomplete');
-                    break;
-                case 'content':
-                    this.emit('content', data.data);
-                    break;
-                case 'audio':
-                    const audioBuffer = Utils.base64ToArrayBuffer(data.data);
-                    this.emit('audio', audioBuffer);
-                    break;
-                case 'toolCall':
-                    this.emit('toolcall', data.data);
-                    break;
-                case 'toolCallCancellation':
-                    this.emit('toolcallcancellation', data.data);
-                    break;
-                case 'interrupted':
-                    this.emit('interrupted');
-                    break;
-                case 'turnComplete':
-                    this.emit('turncomplete');
-                    break;
-                case 'error':
-                    this.emit('error', new ErrorEvent('error', { message: data.message }));
-                    break;
-                case 'log':
-                    this.emit('log', data.data);
-                    break;
-                default:
-                    console.log('Unknown message type from backend:', data.type);
-            }
+        // Find the best match: exact text first, then partial match
+        resolve(elements, query, getCandidates) {
+            if (!query) return null;
+            const needle = String(query).trim().toLowerCase();
+            const texts = elements.map(el =>
+                getCandidates(el).filter(Boolean).map(text => String(text).trim().toLowerCase())
+            );
+
+            const exact = elements.filter((_, i) => texts[i].includes(needle));
+            const partial = elements.filter((_, i) => texts[i].some(text => text.includes(needle)));
+            const matches = exact.length ? exact : partial;
+
+            // Prefer visible elements when several match
+            return matches.find(el => this.pageAccessor.isElementVisible(el)) || matches[0] || null;
         }
 
-        sendToBackend(message) {
-            if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-                this.ws.send(JSON.stringify(message));
-            } else {
-                console.warn('WebSocket not connected, message not sent:', message);
+        assertVisible(element, query) {
+            if (!element) {
+                throw this.actionError('ELEMENT_NOT_FOUND', `No element matching "${query}" was found`);
+            }
+            if (!this.pageAccessor.isElementVisible(element)) {
+                throw this.actionError('ELEMENT_HIDDEN', `Element matching "${query}" is not visible`);
             }
         }
 
-        async connect(model, config) {
-            if (this._status === 'connected' || this._status === 'connecting') {
-                return false;
+        assertUsable(element, query) {
+            this.assertVisible(element, query);
+            if (element.disabled || element.getAttribute('aria-disabled') === 'true') {
+                throw this.actionError('ELEMENT_DISABLED', `Element matching "${query}" is disabled`);
             }
+        }
 
-            this._status = 'connecting';
+        describe(element) {
+            return {
+                tag: element.tagName.toLowerCase(),
+                text: element.textContent?.trim().slice(0, 100) || element.value || '',
+                id: element.id || null
+            };
+        }
+
+        actionError(code, message, details) {
+            const error = new Error(message);
+            error.code = code;
+            if (details) error.details = details;
+            return error;
+        }
+    }
+
+    // =============================================================================
+    // TOOL REGISTRY (Client-side function calling)
+    // =============================================================================
+
+    class ToolRegistry extends EventEmitter {
+        constructor(timeout = 10000) {
+            super();
+            this.tools = new Map();
+            this.pending = new Map();
+            this.timeout = timeout;
+        }
+
+        register({ name, description = '', parameters, handler }) {
+            if (!name || typeof name !== 'string') {
+                throw new Error('Tool name is required');
+            }
+            if (typeof handler !== 'function') {
+                throw new Error(`Tool "${name}" needs a handler function`);
+            }
+
+            this.tools.set(name, { name, description, parameters, handler });
+            return this;
+        }
+
+        unregister(name) {
+            return this.tools.delete(name);
+        }
+
+        has(name) {
+            return this.tools.has(name);
+        }
+
+        get size() {
+            return this.tools.size;
+        }
+
+        // Function declarations in the shape expected by the connect config
+        getFunctionDeclarations() {
+            return Array.from(this.tools.values()).map(({ name, description, parameters }) => {
+                const declaration = { name, description };
+                if (parameters) {
+                    declaration.parameters = parameters;
+                }
+                return declaration;
+            });
+        }
+
+        // Run every function call of a toolCall message and collect the responses.
+        // Calls cancelled while running are left out so no late response is sent.
+        async handleToolCall(toolCall) {
+            const functionCalls = toolCall?.functionCalls || [];
+            const results = await Promise.all(
+                functionCalls.map(functionCall => this.execute(functionCall))
+            );
+            return { functionResponses: results.filter(result => !result.cancelled) };
+        }
+
+        async execute({ id, name, args }) {
+            const tool = this.tools.get(name);
+            if (!tool) {
+                return this.errorResponse(id, name, 'UNKNOWN_TOOL', `No tool registered with name "${name}"`);
+            }
+
+            const controller = new AbortController();
+            const entry = { id, name, controller, cancelled: false };
+            this.pending.set(id, entry);
+            this.emit('call', { id, name, args });
+
+            let timer = null;
+            const interrupted = new Promise((_, reject) => {
+                timer = setTimeout(() => {
+                    const error = new Error(`Tool "${name}" timed out after ${this.timeout}ms`);
+                    error.code = 'TOOL_TIMEOUT';
+                    controller.abort(error);
+                }, this.timeout);
+                controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+            });
+
+            try {
+                const output = await Promise.race([
+                    Promise.resolve().then(() => tool.handler(args || {}, { id, name, signal: controller.signal })),
+                    interrupted
+                ]);
+                if (entry.cancelled) {
+                    return { id, name, cancelled: true };
+                }
+                const response = { id, name, response: { output: output === undefined ? null : output } };
+                this.emit('result', response);
+                return response;
+            } catch (error) {
+                if (entry.cancelled) {
+                    return { id, name, cancelled: true };
+                }
+                console.error(`Tool "${name}" failed:`, error);
+                return this.errorResponse(id, name, error.code || 'TOOL_ERROR', error.message || String(error), error.details);
+            } finally {
+                clearTimeout(timer);
+                this.pending.delete(id);
+            }
+        }
+
+        // Abort in-flight calls by id (toolCallCancellation)
+        cancel(ids = []) {
+            const cancelled = [];
+            ids.forEach(id => {
+                const entry = this.pending.get(id);
+                if (!entry || entry.cancelled) return;
+
+                entry.cancelled = true;
+                const error = new Error(`Tool "${entry.name}" was cancelled`);
+                error.code = 'TOOL_CANCELLED';
+                entry.controller.abort(error);
+                cancelled.push({ id, name: entry.name });
+                this.emit('cancelled', { id, name: entry.name });
+            });
+            return cancelled;
+        }
+
+        cancelAll() {
+            return this.cancel(Array.from(this.pending.keys()));
+        }
+
+        errorResponse(id, name, code, message, details) {
+            const error = details ? { code, message, ...details } : { code, message };
+            const response = { id, name, response: { error } };
+            this.emit('error', response);
+            return response;
+        }
+    }
+
+    // =============================================================================
+    // TRANSPORTS (WebSocket default, HTTP POST + Server-Sent Events fallback)
+    // =============================================================================
+    //
+    // A transport carries protocol messages between WebSocketLiveClient and the
+    // backend. Every transport implements:
+    //   open()                 start connecting; emits 'open' once usable
+    //   send(data)             send a JSON string or binary ArrayBuffer frame
+    //   close(code, reason)    close cleanly; emits 'close'
+    //   abandon()              drop immediately without emitting 'close'
+    //   isOpen                 true while messages can be sent
+    //   bufferedAmount         bytes accepted but not yet delivered
+    //   supportsBinary         whether binary frames can be sent
+    // and emits 'message' (string or ArrayBuffer), 'close' ({ code, reason }) and 'error'.
+
+    class WebSocketTransport extends EventEmitter {
+        constructor(url, protocols) {
+            super();
+            this.url = url;
+            this.protocols = protocols;
+            this.ws = null;
+            this.supportsBinary = true;
+        }
+
+        get isOpen() {
+            return !!this.ws && this.ws.readyState === WebSocket.OPEN;
+        }
+
+        get bufferedAmount() {
+            return this.ws?.bufferedAmount || 0;
+        }
+
+        open() {
+            this.ws = this.protocols ? new WebSocket(this.url, this.protocols) : new WebSocket(this.url);
+            this.ws.binaryType = 'arraybuffer';
+            this.ws.onopen = () => this.emit('open');
+            this.ws.onmessage = (event) => this.emit('message', event.data);
+            this.ws.onclose = (event) => this.emit('close', { code: event.code, reason: event.reason });
+            this.ws.onerror = (error) => this.emit('error', error);
+        }
+
+        send(data) {
+            this.ws.send(data);
+        }
+
+        close(code = 1000, reason = '') {
+            this.ws?.close(code, reason);
+        }
+
+        abandon() {
+            const ws = this.ws;
+            if (!ws) return;
+
+            ws.onopen = null;
+            ws.onmessage = null;
+            ws.onclose = null;
+            ws.onerror = null;
+            try {
+                ws.close(4000, 'Abandoned');
+            } catch (error) {
+                console.error('Failed to close abandoned WebSocket:', error);
+            }
+            this.ws = null;
+        }
+    }
+
+    // Upstream messages are POSTed in order to `${baseUrl}/messages`, downstream
+    // messages arrive as Server-Sent Events from `${baseUrl}/events`. Both carry
+    // the same JSON envelopes as the WebSocket transport.
+    class HttpStreamTransport extends EventEmitter {
+        // `apiKey` is added to each endpoint's query, like the relay's WebSocket URL
+        constructor(url, { apiKey = null } = {}) {
+            super();
+            this.baseUrl = HttpStreamTransport.toHttpUrl(url);
+            this.apiKey = apiKey;
+            this.sessionId = HttpStreamTransport.createSessionId();
+            this.eventSource = null;
+            this.opened = false;
+            this.closed = false;
+            this.sending = Promise.resolve();
+            this.pendingBytes = 0;
+            this.supportsBinary = false;
+        }
+
+        static toHttpUrl(url) {
+            return url.replace(/^ws(s?):\/\//, 'http$1://');
+        }
+
+        static createSessionId() {
+            return window.crypto?.randomUUID?.() ||
+                `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+        }
+
+        get isOpen() {
+            return this.opened && !this.closed;
+        }
+
+        get bufferedAmount() {
+            return this.pendingBytes;
+        }
+
+        endpoint(path) {
+            const url = new URL(this.baseUrl);
+            url.pathname = `${url.pathname.replace(/\/$/, '')}/${path}`;
+            url.searchParams.set('session', this.sessionId);
+            if (this.apiKey) {
+                url.searchParams.set('apiKey', this.apiKey);
+            }
+            return url.toString();
+        }
+
+        open() {
+            this.eventSource = new EventSource(this.endpoint('events'));
+
+            this.eventSource.onopen = () => {
+                if (this.opened) return;
+                this.opened = true;
+                this.emit('open');
+            };
+
+            this.eventSource.onmessage = (event) => {
+                this.emit('message', event.data);
+            };
+
+            this.eventSource.onerror = (error) => {
+                // EventSource retries by itself; only a closed stream ends the transport
+                if (this.eventSource?.readyState === EventSource.CLOSED || !this.opened) {
+                    this.emit('error', error);
+                    this.finish({ code: 1006, reason: 'Event stream closed' });
+                }
+            };
+        }
+
+        send(data) {
+            if (typeof data !== 'string') {
+                throw new Error('HttpStreamTransport cannot send binary frames');
+            }
+
+            this.pendingBytes += data.length;
+            this.sending = this.sending
+                .then(() => fetch(this.endpoint('messages'), {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: data,
+                    keepalive: data.length < 60000
+                }))
+                .then((response) => {
+                    if (!response.ok) {
+                        throw new Error(`Upstream POST failed with status ${response.status}`);
+                    }
+                })
+                .catch((error) => {
+                    this.emit('error', error);
+                    this.finish({ code: 1006, reason: error.message });
+                })
+                .finally(() => {
+                    this.pendingBytes -= data.length;
+                });
+        }
+
+        close(code = 1000, reason = '') {
+            this.finish({ code, reason });
+        }
+
+        abandon() {
+            this.closed = true;
+            this.eventSource?.close();
+            this.eventSource = null;
+        }
+
+        finish(event) {
+            if (this.closed) return;
+            this.abandon();
+            this.emit('close', event);
+        }
+    }
+
+    // =============================================================================
+    // PROTOCOL SCHEMA AND ERROR CODES
+    // =============================================================================
+
+    // Envelope protocol version offered in `connect` and reported back in
+    // `setupComplete`. Backends outside the supported range are rejected.
+    const PROTOCOL_VERSION = 1;
+    const MIN_PROTOCOL_VERSION = 1;
+
+    // Field specs per envelope type, keyed by dot path. A trailing `?` marks an
+    // optional field.
+    const MessageSchema = {
+        version: PROTOCOL_VERSION,
+
+        upstream: {
+            auth: { token: 'string' },
+            connect: {
+                model: 'string',
+                config: 'object',
+                protocolVersion: 'number?',
+                capabilities: 'object?'
+            },
+            sendRealtimeInput: { data: 'array' },
+            send: { data: 'object', 'data.turnComplete': 'boolean' },
+            sendToolResponse: { data: 'object', 'data.functionResponses': 'array' },
+            ping: { id: 'number', timestamp: 'number' },
+            disconnect: {}
+        },
+
+        downstream: {
+            connected: {},
+            disconnected: {},
+            setupComplete: {
+                data: 'object?',
+                'data.protocolVersion': 'number?',
+                'data.binaryAudio': 'boolean?',
+                'data.audioCodec': 'string?'
+            },
+            sessionResumptionUpdate: { data: 'object' },
+            content: { data: 'object' },
+            audio: { data: 'string', sampleRate: 'number?' },
+            audioFrame: { data: 'arraybuffer' },
+            toolCall: { data: 'object', 'data.functionCalls': 'array' },
+            toolCallCancellation: { data: 'object', 'data.ids': 'array' },
+            interrupted: {},
+            turnComplete: {},
+            pong: { id: 'number', timestamp: 'number' },
+            error: { message: 'string', code: 'string?', retryable: 'boolean?' },
+            log: { data: 'object' }
+        },
+
+        // Returns a description of the first problem, or null when the message is valid
+        validate(direction, message) {
+            if (!message || typeof message !== 'object' || typeof message.type !== 'string') {
+                return 'message has no type';
+            }
+
+            const spec = this[direction][message.type];
+            if (!spec) {
+                return `unknown ${direction} message type "${message.type}"`;
+            }
+
+            for (const [path, rule] of Object.entries(spec)) {
+                const optional = rule.endsWith('?');
+                const expected = optional ? rule.slice(0, -1) : rule;
+                const value = path.split('.').reduce((node, key) => node?.[key], message);
+
+                if (value === undefined || value === null) {
+                    if (!optional) return `${message.type}.${path} is required`;
+                    continue;
+                }
+                if (this.typeOf(value) !== expected) {
+                    return `${message.type}.${path} should be ${expected}, got ${this.typeOf(value)}`;
+                }
+            }
+
+            if (message.type === 'sendRealtimeInput' &&
+                message.data.some(chunk => typeof chunk?.mimeType !== 'string' || typeof chunk.data !== 'string')) {
+                return 'sendRealtimeInput chunks need a mimeType and base64 data';
+            }
+            return null;
+        },
+
+        typeOf(value) {
+            if (Array.isArray(value)) return 'array';
+            if (value instanceof ArrayBuffer) return 'arraybuffer';
+            return typeof value;
+        }
+    };
+
+    // Normalized error codes surfaced to hosts; `retryable` says whether trying
+    // again (reconnecting, resending later) can succeed. `fatal` errors end the
+    // connection, so the client stops reconnecting when they are not retryable.
+    const ErrorCodes = {
+        AUTH_FAILED: { retryable: false, fatal: true },
+        QUOTA_EXCEEDED: { retryable: true },
+        MODEL_UNAVAILABLE: { retryable: true },
+        PROTOCOL_MISMATCH: { retryable: false, fatal: true },
+        MEDIA_REJECTED: { retryable: false },
+        INVALID_MESSAGE: { retryable: false },
+        SESSION_EXPIRED: { retryable: true },
+        CONNECTION_FAILED: { retryable: true },
+        INTERNAL_ERROR: { retryable: true },
+        UNKNOWN: { retryable: false }
+    };
+
+    const ProtocolErrors = {
+        // Backends that predate error codes only send a message (or a provider
+        // specific code), so the code is inferred from the text
+        patterns: [
+            ['SESSION_EXPIRED', /resumption handle|session (has )?expired|session_expired/i],
+            ['AUTH_FAILED', /unauthori[sz]ed|authentication|auth token|invalid.?api.?key|api key not valid|permission denied|forbidden/i],
+            ['QUOTA_EXCEEDED', /quota|rate.?limit|resource.?exhausted|too many requests/i],
+            ['MODEL_UNAVAILABLE', /model.?not.?found|model.*(unavailable|not supported)|overloaded|service unavailable/i],
+            ['PROTOCOL_MISMATCH', /protocol version|unknown message type|first message must be setup/i],
+            ['MEDIA_REJECTED', /unsupported (binary|media|mime|audio|image)|invalid (audio|image|media)|mime.?type/i],
+            ['INVALID_MESSAGE', /malformed|invalid json|invalid payload/i]
+        ],
+
+        create(code, message, { retryable, details } = {}) {
+            const known = ErrorCodes[code] ? code : 'UNKNOWN';
+            const error = new Error(message || known);
+            error.code = known;
+            error.retryable = retryable ?? ErrorCodes[known].retryable;
+            if (details) error.details = details;
+            return error;
+        },
+
+        infer(text) {
+            const match = this.patterns.find(([, pattern]) => pattern.test(text || ''));
+            return match ? match[0] : null;
+        },
+
+        // `error` envelope: { message, code?, retryable?, details? }
+        fromBackend({ message, code, retryable, details }) {
+            const normalized = ErrorCodes[code] ? code : this.infer(`${code || ''} ${message || ''}`) || 'UNKNOWN';
+            const providerCode = code && code !== normalized ? { providerCode: code } : null;
+            return this.create(normalized, message, {
+                retryable,
+                details: providerCode ? { ...providerCode, ...details } : details
+            });
+        },
+
+        // Close frames carry their reason as text; only closes that explain
+        // themselves become errors
+        fromClose(event) {
+            if (!event || event.code === 1000) return null;
+
+            const inferred = this.infer(event.reason);
+            if (inferred) return this.create(inferred, event.reason, { details: { closeCode: event.code } });
+            if (event.code === 4401 || event.code === 4403) {
+                return this.create('AUTH_FAILED', event.reason || 'Unauthorized', { details: { closeCode: event.code } });
+            }
+            if (event.code === 1002 || event.code === 4400) {
+                return this.create('PROTOCOL_MISMATCH', event.reason || 'Protocol error', { details: { closeCode: event.code } });
+            }
+            return null;
+        }
+    };
+
+    // =============================================================================
+    // WIRE PROTOCOLS (Relay envelope, direct Gemini Live, OpenAI Realtime)
+    // =============================================================================
+    //
+    // WebSocketLiveClient always works with relay-style envelopes
+    // ({ type: 'connect' | 'send' | ..., data }). A protocol translates them to and
+    // from what the backend actually speaks:
+    //   encode(message)        envelope -> string/ArrayBuffer (or an array of them)
+    //                          to send, or null to skip
+    //   decode(data)           received string/ArrayBuffer -> array of envelopes
+    //   buildUrl(url, auth)    endpoint URL for the given { apiKey, token, model }
+    //   getSubprotocols(auth)  optional WebSocket subprotocols for the handshake
+    // and declares defaultUrl, defaultModel, defaultVoice, inputSampleRate and
+    // outputSampleRate (used for audio envelopes that do not carry a rate).
+    //
+    // The `connect` envelope carries a provider-neutral session config:
+    //   { instructions, voice, modalities: ['audio' | 'text'], tools: [declarations],
+    //     turnDetection: 'client' | 'server', transcription: true to get both sides as text }
+    // Keys a protocol does not know are passed through to the backend untouched.
+
+    // Neutral session config -> the Gemini-shaped config used by the relay and Live API
+    function toGeminiSessionConfig(config = {}) {
+        // Gemini detects turns itself and also accepts explicit turnComplete,
+        // so turnDetection needs no setup there
+        const { instructions, voice, modalities, tools, turnDetection, transcription, ...rest } = config;
+        const geminiConfig = { ...rest };
+
+        if (modalities) {
+            geminiConfig.responseModalities = modalities.map(modality => modality.toUpperCase());
+        }
+        if (voice) {
+            geminiConfig.speechConfig = {
+                voiceConfig: { prebuiltVoiceConfig: { voiceName: voice } }
+            };
+        }
+        if (instructions) {
+            geminiConfig.systemInstruction = { parts: [{ text: instructions }] };
+        }
+        if (tools?.length) {
+            geminiConfig.tools = [{ functionDeclarations: tools }];
+        }
+        if (transcription) {
+            geminiConfig.inputAudioTranscription = {};
+            geminiConfig.outputAudioTranscription = {};
+        }
+        return geminiConfig;
+    }
+
+    class RelayProtocol {
+        constructor() {
+            this.name = 'relay';
+            this.defaultUrl = 'wss://aiagent.babaai.live';
+            this.defaultModel = 'models/gemini-2.0-flash-exp';
+            this.defaultVoice = 'Aoede';
+            this.inputSampleRate = 16000;
+            this.outputSampleRate = 24000;
+            this.supportsHttpFallback = true;
+            // Only the relay envelope negotiates a protocol version
+            this.versioned = true;
+        }
+
+        buildUrl(url, { apiKey, token }) {
+            // Tokens travel in the `auth` message, never in the URL
+            if (!apiKey || token) return url;
+            const separator = url.includes('?') ? '&' : '?';
+            return `${url}${separator}apiKey=${encodeURIComponent(apiKey)}`;
+        }
+
+        encode(message) {
+            if (message.type === 'connect') {
+                return JSON.stringify({ ...message, config: toGeminiSessionConfig(message.config) });
+            }
+            return JSON.stringify(message);
+        }
+
+        decode(data) {
+            if (data instanceof ArrayBuffer) {
+                return [{ type: 'audioFrame', data }];
+            }
+            return [JSON.parse(data)];
+        }
+    }
+
+    // Speaks the Live API BidiGenerateContent messages directly, without a relay
+    class GeminiLiveProtocol {
+        constructor() {
+            this.name = 'gemini-live';
+            this.defaultUrl = 'wss://generativelanguage.googleapis.com/ws/google.ai.generativelanguage.v1beta.GenerativeService.BidiGenerateContent';
+            this.defaultModel = 'models/gemini-2.0-flash-exp';
+            this.defaultVoice = 'Aoede';
+            this.inputSampleRate = 16000;
+            this.outputSampleRate = 24000;
+            this.supportsHttpFallback = false;
+            this.textDecoder = new TextDecoder();
+        }
+
+        // The Live API only accepts credentials in the URL: `key` for API keys,
+        // `access_token` for ephemeral tokens on the constrained endpoint
+        buildUrl(url, { apiKey, token }) {
+            const endpoint = new URL(url);
+            if (token) {
+                endpoint.pathname = endpoint.pathname.replace(/BidiGenerateContent$/, 'BidiGenerateContentConstrained');
+                endpoint.searchParams.set('access_token', token);
+            } else if (apiKey) {
+                endpoint.searchParams.set('key', apiKey);
+            }
+            return endpoint.toString();
+        }
+
+        encode(message) {
+            switch (message.type) {
+                case 'connect':
+                    return JSON.stringify({ setup: this.buildSetup(message.model, message.config || {}) });
+                case 'sendRealtimeInput':
+                    return JSON.stringify({ realtimeInput: { mediaChunks: message.data } });
+                case 'send': {
+                    const parts = Array.isArray(message.data.turns) ? message.data.turns : [message.data.turns];
+                    return JSON.stringify({
+                        clientContent: {
+                            turns: parts.length ? [{ role: 'user', parts }] : [],
+                            turnComplete: message.data.turnComplete
+                        }
+                    });
+                }
+                case 'sendToolResponse':
+                    return JSON.stringify({ toolResponse: message.data });
+                default:
+                    // auth, ping and disconnect have no Live API equivalent
+                    return null;
+            }
+        }
+
+        buildSetup(model, config) {
+            const {
+                responseModalities, speechConfig, systemInstruction, tools, sessionResumption,
+                inputAudioTranscription, outputAudioTranscription, ...rest
+            } = toGeminiSessionConfig(config);
+            const setup = {
+                model,
+                generationConfig: { ...(rest.generationConfig || {}), responseModalities, speechConfig }
+            };
+            if (systemInstruction) setup.systemInstruction = systemInstruction;
+            if (tools) setup.tools = tools;
+            if (sessionResumption) setup.sessionResumption = sessionResumption;
+            if (inputAudioTranscription) setup.inputAudioTranscription = inputAudioTranscription;
+            if (outputAudioTranscription) setup.outputAudioTranscription = outputAudioTranscription;
+            return setup;
+        }
+
+        decode(data) {
+            // The Live API sends its JSON in binary frames
+            const text = data instanceof ArrayBuffer ? this.textDecoder.decode(data) : data;
+            const message = JSON.parse(text);
+            const messages = [];
+
+            if (message.setupComplete) {
+                messages.push({ type: 'setupComplete', data: message.setupComplete });
+            }
+
+            if (message.serverContent) {
+                messages.push(...this.decodeServerContent(message.serverContent));
+            }
+
+            if (message.toolCall) {
+                messages.push({ type: 'toolCall', data: message.toolCall });
+            }
+
+            if (message.toolCallCancellation) {
+                messages.push({ type: 'toolCallCancellation', data: message.toolCallCancellation });
+            }
+
+            if (message.sessionResumptionUpdate) {
+                messages.push({ type: 'sessionResumptionUpdate', data: message.sessionResumptionUpdate });
+            }
+
+            if (message.goAway) {
+                messages.push({
+                    type: 'log',
+                    data: { date: new Date(), type: 'server.goAway', message: `Server closing in ${message.goAway.timeLeft}` }
+                });
+            }
+
+            return messages;
+        }
+
+        decodeServerContent(serverContent) {
+            const messages = [];
+            const parts = serverContent.modelTurn?.parts || [];
+            const audioParts = parts.filter(part => part.inlineData?.mimeType?.startsWith('audio/pcm'));
+            const otherParts = parts.filter(part => !audioParts.includes(part));
+
+            // Transcriptions arrive when the setup asks for input/outputAudioTranscription
+            const { inputTranscription, outputTranscription } = serverContent;
+            if (otherParts.length || inputTranscription || outputTranscription) {
+                messages.push({
+                    type: 'content',
+                    data: {
+                        ...(otherParts.length && { modelTurn: { ...serverContent.modelTurn, parts: otherParts } }),
+                        ...(inputTranscription && { inputTranscription }),
+                        ...(outputTranscription && { outputTranscription })
+                    }
+                });
+            }
+
+            // The mimeType declares the output format, e.g. audio/pcm;rate=24000
+            audioParts.forEach(part => {
+                const rate = /rate=(\d+)/.exec(part.inlineData.mimeType);
+                messages.push({
+                    type: 'audio',
+                    data: part.inlineData.data,
+                    ...(rate && { sampleRate: Number(rate[1]) })
+                });
+            });
+
+            if (serverContent.interrupted) {
+                messages.push({ type: 'interrupted' });
+            }
+
+            if (serverContent.turnComplete) {
+                messages.push({ type: 'turnComplete' });
+            }
+
+            return messages;
+        }
+    }
+
+    // Speaks the OpenAI Realtime event protocol (session.update,
+    // input_audio_buffer.append, response.audio.delta, function calls)
+    class OpenAIRealtimeProtocol {
+        constructor() {
+            this.name = 'openai-realtime';
+            this.defaultUrl = 'wss://api.openai.com/v1/realtime';
+            this.defaultModel = 'gpt-4o-realtime-preview';
+            this.defaultVoice = 'alloy';
+            // pcm16 input and output are both 24kHz mono
+            this.inputSampleRate = 24000;
+            this.outputSampleRate = 24000;
+            this.supportsHttpFallback = false;
+            this.textDecoder = new TextDecoder();
+        }
+
+        buildUrl(url, { model }) {
+            const endpoint = new URL(url);
+            if (model && !endpoint.searchParams.has('model')) {
+                endpoint.searchParams.set('model', model);
+            }
+            return endpoint.toString();
+        }
+
+        // Browsers cannot set headers on a WebSocket, so the key or ephemeral
+        // token goes in the subprotocol list
+        getSubprotocols({ apiKey, token }) {
+            const credential = token || apiKey;
+            const protocols = ['realtime', 'openai-beta.realtime-v1'];
+            if (credential) {
+                protocols.splice(1, 0, `openai-insecure-api-key.${credential}`);
+            }
+            return protocols;
+        }
+
+        encode(message) {
+            switch (message.type) {
+                case 'connect':
+                    return JSON.stringify({ type: 'session.update', session: this.buildSession(message.config || {}) });
+                case 'sendRealtimeInput': {
+                    // Realtime sessions take audio only; video frames are dropped
+                    const events = message.data
+                        .filter(chunk => chunk.mimeType.startsWith('audio/pcm'))
+                        .map(chunk => JSON.stringify({ type: 'input_audio_buffer.append', audio: chunk.data }));
+                    return events.length ? events : null;
+                }
+                case 'send': {
+                    const parts = Array.isArray(message.data.turns) ? message.data.turns : [message.data.turns];
+                    const content = parts
+                        .filter(part => part?.text)
+                        .map(part => ({ type: 'input_text', text: part.text }));
+                    const events = [];
+                    if (content.length) {
+                        events.push(JSON.stringify({
+                            type: 'conversation.item.create',
+                            item: { type: 'message', role: 'user', content }
+                        }));
+                    } else if (message.data.turnComplete) {
+                        // An empty completed turn ends a spoken turn (client turn detection)
+                        events.push(JSON.stringify({ type: 'input_audio_buffer.commit' }));
+                    }
+                    if (message.data.turnComplete) {
+                        events.push(JSON.stringify({ type: 'response.create' }));
+                    }
+                    return events.length ? events : null;
+                }
+                case 'sendToolResponse': {
+                    const events = (message.data.functionResponses || []).map(response => JSON.stringify({
+                        type: 'conversation.item.create',
+                        item: {
+                            type: 'function_call_output',
+                            call_id: response.id,
+                            output: JSON.stringify(response.response)
+                        }
+                    }));
+                    events.push(JSON.stringify({ type: 'response.create' }));
+                    return events;
+                }
+                default:
+                    // auth, ping and disconnect have no Realtime equivalent
+                    return null;
+            }
+        }
+
+        buildSession(config) {
+            const {
+                instructions, voice, modalities, tools, turnDetection, sessionResumption, transcription, ...rest
+            } = config;
+            const session = {
+                ...rest,
+                // Audio responses always come with a text transcript
+                modalities: modalities?.includes('audio') ? ['audio', 'text'] : ['text'],
+                input_audio_format: 'pcm16',
+                output_audio_format: 'pcm16',
+                // Client turn detection commits the audio buffer itself
+                turn_detection: turnDetection === 'client' ? null : rest.turn_detection || { type: 'server_vad' }
+            };
+            if (instructions) session.instructions = instructions;
+            if (voice) session.voice = voice;
+            // The assistant's side already comes as a transcript of its audio
+            if (transcription) session.input_audio_transcription = { model: 'whisper-1' };
+            if (tools?.length) {
+                session.tools = tools.map(({ name, description, parameters }) => ({
+                    type: 'function',
+                    name,
+                    description,
+                    parameters: parameters || { type: 'object', properties: {} }
+                }));
+                session.tool_choice = 'auto';
+            }
+            return session;
+        }
+
+        decode(data) {
+            const text = data instanceof ArrayBuffer ? this.textDecoder.decode(data) : data;
+            const event = JSON.parse(text);
+
+            switch (event.type) {
+                case 'session.updated':
+                    return [{ type: 'setupComplete', data: {} }];
+                case 'response.audio.delta':
+                case 'response.output_audio.delta':
+                    return [{ type: 'audio', data: event.delta }];
+                case 'response.audio_transcript.done':
+                case 'response.output_audio_transcript.done':
+                    return [this.textContent(event.transcript)];
+                case 'response.text.done':
+                case 'response.output_text.done':
+                    return [this.textContent(event.text)];
+                case 'conversation.item.input_audio_transcription.completed':
+                    return event.transcript
+                        ? [{ type: 'content', data: { inputTranscription: { text: event.transcript } } }]
+                        : [];
+                case 'response.function_call_arguments.done':
+                    return [{
+                        type: 'toolCall',
+                        data: {
+                            functionCalls: [{ id: event.call_id, name: event.name, args: this.parseArguments(event) }]
+                        }
+                    }];
+                // Server VAD heard the user: stop any playback, like a Gemini interruption
+                case 'input_audio_buffer.speech_started':
+                    return [{ type: 'interrupted' }];
+                case 'response.done':
+                    return [{ type: 'turnComplete' }];
+                case 'error':
+                    return [{
+                        type: 'error',
+                        message: event.error?.message || 'Realtime API error',
+                        code: event.error?.code || event.error?.type
+                    }];
+                default:
+                    return [];
+            }
+        }
+
+        textContent(text) {
+            return { type: 'content', data: { modelTurn: { role: 'model', parts: [{ text }] } } };
+        }
+
+        parseArguments(event) {
+            try {
+                return event.arguments ? JSON.parse(event.arguments) : {};
+            } catch (error) {
+                console.error(`Invalid arguments for function call ${event.name}:`, error);
+                return {};
+            }
+        }
+    }
+
+    const Protocols = {
+        relay: RelayProtocol,
+        'gemini-live': GeminiLiveProtocol,
+        'openai-realtime': OpenAIRealtimeProtocol,
+
+        create(protocol = 'relay') {
+            if (typeof protocol === 'object' && protocol) return protocol;
+            const ProtocolClass = this[protocol];
+            if (typeof ProtocolClass !== 'function') {
+                throw new Error(`Unknown protocol "${protocol}"`);
+            }
+            return new ProtocolClass();
+        }
+    };
+
+    // =============================================================================
+    // WEBSOCKET LIVE CLIENT (Based on your websocket-live-client.ts)
+    // =============================================================================
+
+    class WebSocketLiveClient extends EventEmitter {
+        constructor(backendUrl, apiKey = null, options = {}) {
+            super();
+            this.protocol = Protocols.create(options.protocol);
+            this.backendUrl = backendUrl || this.protocol.defaultUrl;
+            this.apiKey = apiKey;
+            this.transport = null;
+            this._status = 'disconnected';
+            this._model = null;
+            this.config = null;
+            this.reconnectAttempts = 0;
+            this.maxReconnectAttempts = options.maxReconnectAttempts ?? 5;
+            // Bumped by connect() and disconnect() so async work from an older
+            // session (token requests, reconnect timers) can tell it is stale
+            this.connectGeneration = 0;
+            this.reconnectDelay = options.reconnectDelay ?? 1000;
+
+            // Session resumption state
+            this.sessionResumption = options.sessionResumption !== false;
+            this.sessionEstablished = false;
+            this.sessionHandle = null;
+            this.reconnecting = false;
+            this.resumeAttempt = null;
+            this.history = [];
+            this.maxHistoryTurns = options.maxHistoryTurns ?? 20;
+            this.pendingTurn = { heard: '', text: '', transcript: '' };
+
+            // Outbound queue and backpressure
+            this.ready = false;
+            this.outboundQueue = [];
+            this.maxQueueSize = options.maxQueueSize ?? 100;
+            this.bufferThreshold = options.bufferThreshold ?? 256 * 1024;
+            this.pendingFrame = null;
+            this.drainTimer = null;
+            this.droppedChunks = 0;
+            this.droppedMessages = 0;
+
+            // Binary audio framing, enabled once the backend accepts it
+            this.binaryAudioRequested = options.binaryAudio || false;
+            this.binaryAudio = false;
+
+            // Microphone codec: 'opus' is offered in connect and used once the
+            // backend accepts it; PCM stays the fallback
+            this.audioCodecRequested = options.audioCodec || 'pcm';
+            this.audioBitrate = options.audioBitrate ?? 24000;
+            this.audioCodec = 'pcm';
+            this.audioEncoder = null;
+            this.pendingPackets = [];
+            this.packetFlushTimer = null;
+
+            // Heartbeat and latency measurement
+            this.heartbeatInterval = options.heartbeatInterval ?? 15000;
+            this.maxMissedPongs = options.maxMissedPongs ?? 2;
+            this.heartbeatTimer = null;
+            this.pendingPings = new Map();
+            this.pingSequence = 0;
+            this.missedPongs = 0;
+            this.pongSupported = false;
+            this.rtt = null;
+            this.rttSamples = [];
+            this.maxRttSamples = 10;
+
+            // Short-lived auth tokens, used instead of apiKey when provided
+            this.tokenProvider = options.tokenProvider || null;
+            this.token = null;
+            this.tokenExpiresAt = null;
+            this.tokenRefreshTimer = null;
+
+            // Transport selection: 'auto' falls back to HTTP streaming when the
+            // WebSocket handshake fails; a function acts as a transport factory
+            this.transportMode = options.transport || 'auto';
+            this.transportType = this.transportMode === 'http' ? 'http' : 'websocket';
+            this.transportOpened = false;
+            this.httpFallbackUrl = options.httpFallbackUrl || null;
+
+            // Schema validation and normalized errors
+            this.validateMessages = options.validateMessages !== false;
+            this.invalidMessages = 0;
+            this.lastError = null;
+            this.backendProtocolVersion = null;
+
+            this.send = this.send.bind(this);
+        }
+
+        get status() {
+            return this._status;
+        }
+
+        get model() {
+            return this._model;
+        }
+
+        getConfig() {
+            return { ...this.config };
+        }
+
+        log(type, message) {
+            const log = {
+                date: new Date(),
+                type,
+                message,
+            };
+            this.emit('log', log);
+        }
+
+        async setupTransport() {
+            const generation = this.connectGeneration;
+
+            // Every socket, including reconnects, starts with a fresh token
+            if (this.tokenProvider) {
+                try {
+                    await this.fetchToken();
+                } catch (error) {
+                    if (generation !== this.connectGeneration) return;
+                    console.error('Failed to fetch auth token:', error);
+                    // The token endpoint may just be unreachable, so reconnecting is allowed
+                    this.reportError(ProtocolErrors.create('AUTH_FAILED', 'Auth token request failed', {
+                        retryable: true,
+                        details: { cause: error?.message }
+                    }));
+                    this.log('client.error', 'Auth token request failed');
+                    this.handleClose({ code: 4001, reason: 'Auth token request failed' });
+                    return;
+                }
+                // The user hung up while the token was on its way
+                if (generation !== this.connectGeneration) return;
+            }
+
+            try {
+                this.ready = false;
+                this.transportOpened = false;
+                this.transport = this.createTransport();
+                const transport = this.transport;
+
+                transport.on('open', () => {
+                    console.log(`Connected to backend (${this.transportType})`);
+                    this.transportOpened = true;
+                    this._status = 'connected';
+                    this.sendAuth();
+                    this.startHeartbeat();
+
+                    if (this.reconnecting) {
+                        this.log('client.open', 'Reconnected to backend, resuming session');
+                        this.resumeSession();
+                        return;
+                    }
+
+                    this.reconnectAttempts = 0;
+                    this.emit('open');
+                    this.log('client.open', 'Connected to backend');
+                });
+
+                transport.on('message', (data) => {
+                    let messages;
+                    try {
+                        messages = this.protocol.decode(data);
+                    } catch (error) {
+                        console.error('Error parsing backend message:', error);
+                        return;
+                    }
+                    messages.forEach(message => {
+                        const problem = this.validateMessages && MessageSchema.validate('downstream', message);
+                        if (problem) {
+                            this.handleInvalidMessage(message, problem);
+                            return;
+                        }
+                        this.handleBackendMessage(message);
+                    });
+                });
+
+                transport.on('close', (event) => {
+                    if (this.shouldFallBack()) {
+                        this.fallBackToHttp();
+                        return;
+                    }
+                    this.handleClose(event);
+                });
+
+                transport.on('error', (error) => {
+                    // A failed handshake in auto mode is handled by the fallback
+                    if (this.shouldFallBack()) return;
+                    console.error('Transport error:', error);
+                    this.reportError(ProtocolErrors.create('CONNECTION_FAILED', 'Backend connection error'));
+                });
+
+                transport.open();
+            } catch (error) {
+                console.error('Failed to create backend connection:', error);
+                if (this.shouldFallBack()) {
+                    this.fallBackToHttp();
+                    return;
+                }
+                this._status = 'disconnected';
+            }
+        }
+
+        createTransport() {
+            if (typeof this.transportMode === 'function') {
+                return this.transportMode(this.getTransportUrl(), this);
+            }
+            if (this.transportType === 'http') {
+                // Tokens travel in the `auth` message, never in the URL
+                const { apiKey, token } = this.getCredentials();
+                return new HttpStreamTransport(this.httpFallbackUrl || this.backendUrl, { apiKey: token ? null : apiKey });
+            }
+            return new WebSocketTransport(this.getTransportUrl(), this.protocol.getSubprotocols?.(this.getCredentials()));
+        }
+
+        getTransportUrl() {
+            return this.protocol.buildUrl(this.backendUrl, this.getCredentials());
+        }
+
+        getCredentials() {
+            return {
+                apiKey: this.apiKey,
+                token: this.tokenProvider ? this.token : null,
+                model: this._model
+            };
+        }
+
+        shouldFallBack() {
+            return this.transportMode === 'auto' &&
+                this.protocol.supportsHttpFallback &&
+                this.transportType === 'websocket' &&
+                !this.transportOpened;
+        }
+
+        // WebSockets look blocked: switch to HTTP streaming until the next connect()
+        fallBackToHttp() {
+            console.warn('WebSocket handshake failed, falling back to HTTP streaming');
+            this.transport?.abandon();
+            this.transportType = 'http';
+            this.emit('transportfallback', { from: 'websocket', to: 'http' });
+            this.log('client.transport', 'Falling back to HTTP streaming');
+            this.setupTransport();
+        }
+
+        handleClose(event) {
+            this.stopHeartbeat();
+            console.log('WebSocket connection closed:', event.code, event.reason);
+            const closeError = !this.lastError && ProtocolErrors.fromClose(event);
+            if (closeError) {
+                this.reportError(closeError);
+            }
+            const canReconnect =
+                event.code !== 1000 &&
+                !this.hasFatalError() &&
+                this.reconnectAttempts < this.maxReconnectAttempts;
+
+            // Keep an established session alive while we reconnect
+            if (canReconnect && this.sessionEstablished) {
+                this.scheduleReconnect(event);
+                return;
+            }
+
+            this._status = 'disconnected';
+            if (this.reconnecting) {
+                this.failResume(event.reason || 'Reconnection attempts exhausted');
+            }
+            this.emit('close', event);
+            this.log(
+                'client.close',
+                `Disconnected: ${event.reason || 'Connection closed'}`
+            );
+
+            // Attempt to reconnect if not a clean close
+            if (canReconnect) {
+                const generation = this.connectGeneration;
+                setTimeout(() => {
+                    if (generation !== this.connectGeneration) return;
+                    this.reconnectAttempts++;
+                    console.log(
+                        `Reconnection attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts}`
+                    );
+                    this.setupTransport();
+                }, this.reconnectDelay * this.reconnectAttempts);
+            }
+        }
+
+        // Provider may return a token string or { token, expiresAt } / { token, expiresIn }
+        async fetchToken() {
+            const result = await this.tokenProvider();
+            const token = typeof result === 'string' ? result : result?.token;
+            if (!token) {
+                throw new Error('tokenProvider did not return a token');
+            }
+
+            this.token = token;
+            if (result?.expiresAt) {
+                this.tokenExpiresAt = new Date(result.expiresAt).getTime();
+            } else if (result?.expiresIn) {
+                this.tokenExpiresAt = Date.now() + result.expiresIn * 1000;
+            } else {
+                this.tokenExpiresAt = null;
+            }
+            this.scheduleTokenRefresh();
+            return token;
+        }
+
+        // Refresh shortly before expiry and hand the new token to the open socket
+        scheduleTokenRefresh() {
+            this.clearTokenRefresh();
+            if (!this.tokenExpiresAt) return;
+
+            const delay = Math.max(5000, this.tokenExpiresAt - Date.now() - 30000);
+            this.tokenRefreshTimer = setTimeout(async () => {
+                this.tokenRefreshTimer = null;
+                try {
+                    await this.fetchToken();
+                    this.sendAuth();
+                } catch (error) {
+                    console.error('Failed to refresh auth token:', error);
+                    this.log('client.error', 'Auth token refresh failed');
+                }
+            }, delay);
+        }
+
+        clearTokenRefresh() {
+            if (this.tokenRefreshTimer) {
+                clearTimeout(this.tokenRefreshTimer);
+                this.tokenRefreshTimer = null;
+            }
+        }
+
+        // The token always travels in the first protocol message, never in the URL
+        sendAuth() {
+            if (!this.token || !this.isTransportOpen()) return;
+            this.sendToBackend({ type: 'auth', token: this.token });
+        }
+
+        startHeartbeat() {
+            this.stopHeartbeat();
+            if (!this.heartbeatInterval) return;
+
+            this.heartbeatTimer = setInterval(() => this.sendPing(), this.heartbeatInterval);
+            this.sendPing();
+        }
+
+        stopHeartbeat() {
+            if (this.heartbeatTimer) {
+                clearInterval(this.heartbeatTimer);
+                this.heartbeatTimer = null;
+            }
+            this.pendingPings.clear();
+            this.missedPongs = 0;
+            this.pongSupported = false;
+        }
+
+        sendPing() {
+            if (!this.isTransportOpen()) return;
+
+            // Pings still unanswered at the next interval count as missed. Only
+            // backends that have answered once are held to it, so relays that do
+            // not implement pong are never declared dead.
+            if (this.pendingPings.size) {
+                this.missedPongs++;
+                this.pendingPings.clear();
+                if (this.pongSupported && this.missedPongs >= this.maxMissedPongs) {
+                    this.handleDeadConnection();
+                    return;
+                }
+            }
+
+            const id = ++this.pingSequence;
+            this.pendingPings.set(id, performance.now());
+            this.sendToBackend({ type: 'ping', id, timestamp: Date.now() });
+        }
+
+        handlePong(data) {
+            const sentAt = this.pendingPings.get(data?.id);
+            if (sentAt === undefined) return;
+
+            this.pendingPings.delete(data.id);
+            this.pongSupported = true;
+            this.missedPongs = 0;
+            this.rtt = Math.round(performance.now() - sentAt);
+            this.rttSamples.push(this.rtt);
+            if (this.rttSamples.length > this.maxRttSamples) {
+                this.rttSamples.shift();
+            }
+            this.emit('latency', this.getLatencyStats());
+        }
+
+        // A half-open socket may never fire onclose, so drop it and take the reconnect path
+        handleDeadConnection() {
+            console.warn(`No pong after ${this.missedPongs} heartbeats, connection considered dead`);
+            this.log('client.heartbeat', 'Connection dead, reconnecting');
+
+            this.transport?.abandon();
+            this.transport = null;
+            this.ready = false;
+            this.handleClose({ code: 4000, reason: 'Heartbeat timeout' });
+        }
+
+        getLatencyStats() {
+            const samples = this.rttSamples;
+            return {
+                rtt: this.rtt,
+                averageRtt: samples.length
+                    ? Math.round(samples.reduce((sum, value) => sum + value, 0) / samples.length)
+                    : null,
+                missedPongs: this.missedPongs
+            };
+        }
+
+        scheduleReconnect(event) {
+            this._status = 'reconnecting';
+            this.reconnecting = true;
+            this.reconnectAttempts++;
+            this.emit('reconnecting', {
+                attempt: this.reconnectAttempts,
+                maxAttempts: this.maxReconnectAttempts,
+                code: event.code,
+                reason: event.reason
+            });
+            this.log('client.reconnecting', `Reconnection attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts}`);
+
+            const generation = this.connectGeneration;
+            setTimeout(() => {
+                if (this.reconnecting && generation === this.connectGeneration) {
+                    this.setupTransport();
+                }
+            }, this.reconnectDelay * this.reconnectAttempts);
+        }
+
+        // Re-send setup on a fresh socket, resuming by handle when we have one
+        resumeSession() {
+            const config = { ...this.config };
+            if (this.sessionResumption) {
+                config.sessionResumption = this.sessionHandle ? { handle: this.sessionHandle } : {};
+            }
+
+            this.resumeAttempt = { withHandle: !!(this.sessionResumption && this.sessionHandle) };
+            this.sendToBackend({
+                type: 'connect',
+                model: this._model,
+                config,
+                protocolVersion: PROTOCOL_VERSION,
+                ...this.getCapabilities(),
+            });
+        }
+
+        completeResume() {
+            const resumed = this.resumeAttempt?.withHandle || false;
+
+            // Without a handle the backend starts from scratch, so replay what it lost
+            if (!resumed) {
+                this.replayHistory();
+            }
+
+            this.reconnecting = false;
+            this.resumeAttempt = null;
+            this.reconnectAttempts = 0;
+            this.emit('reconnected', { resumed });
+            this.log('client.reconnected', resumed ? 'Session resumed' : 'Session restored from history');
+        }
+
+        failResume(reason) {
+            this.reconnecting = false;
+            this.resumeAttempt = null;
+            this.sessionEstablished = false;
+            this.sessionHandle = null;
+            this.emit('resumeFailed', { reason });
+            this.log('client.resumeFailed', reason);
+        }
+
+        static partsText(parts) {
+            return (Array.isArray(parts) ? parts : [parts])
+                .map(part => part?.text)
+                .filter(Boolean)
+                .join(' ');
+        }
+
+        recordHistory(role, parts) {
+            this.pushHistory(role, WebSocketLiveClient.partsText(parts));
+        }
+
+        pushHistory(role, text) {
+            text = text.trim();
+            if (!text) return;
+
+            this.history.push({ role, text });
+            if (this.history.length > this.maxHistoryTurns) {
+                this.history.shift();
+            }
+        }
+
+        // Model output streams in fragments: collect a whole turn and record it
+        // once. Audio-only sessions have no text parts, so their transcriptions
+        // (when the backend sends them) stand in for the text.
+        bufferTurnContent(content) {
+            const heard = content?.inputTranscription?.text;
+            const text = WebSocketLiveClient.partsText(content?.modelTurn?.parts || []);
+            const transcript = content?.outputTranscription?.text;
+            if (heard) {
+                this.pendingTurn.heard += heard;
+            }
+            if (text || transcript) {
+                // The user's words come before the answer they got
+                this.pushHistory('user', this.pendingTurn.heard);
+                this.pendingTurn.heard = '';
+            }
+            if (text) {
+                this.pendingTurn.text += text;
+            }
+            if (transcript) {
+                this.pendingTurn.transcript += transcript;
+            }
+        }
+
+        // At turn end or interruption
+        commitTurn() {
+            const { heard, text, transcript } = this.pendingTurn;
+            this.pushHistory('user', heard);
+            this.pushHistory('model', text || transcript);
+            this.pendingTurn = { heard: '', text: '', transcript: '' };
+        }
+
+        replayHistory() {
+            // A turn cut off by the disconnect still counts
+            this.commitTurn();
+            if (!this.history.length) return;
+
+            const transcript = this.history
+                .map(turn => `${turn.role === 'model' ? 'Assistant' : 'User'}: ${turn.text}`)
+                .join('\n');
+            this.sendToBackend({
+                type: 'send',
+                data: {
+                    turns: [{ text: `[CONVERSATION_CONTEXT] The connection was interrupted. Conversation so far:\n${transcript}` }],
+                    turnComplete: false
+                },
+            });
+        }
+
+        handleBackendMessage(data) {
+            switch (data.type) {
+                case 'connected':
+                    this.emit('open');
+                    break;
+                case 'disconnected':
+                    this._status = 'disconnected';
+                    this.emit('close', new CloseEvent('close'));
+                    break;
+                case 'setupComplete':
+                    if (!this.checkProtocolVersion(data.data)) break;
+                    this.lastError = null;
+                    this.sessionEstablished = true;
+                    this.ready = true;
+                    this.binaryAudio = this.binaryAudioRequested &&
+                        !!this.transport?.supportsBinary &&
+                        data.data?.binaryAudio === true;
+                    this.negotiateAudioCodec(data.data?.audioCodec);
+                    if (this.reconnecting) {
+                        this.completeResume();
+                    }
+                    this.flushQueue();
+                    this.emit('setupcomplete');
+                    break;
+                case 'pong':
+                    this.handlePong(data);
+                    break;
+                case 'audioFrame':
+                    this.handleBinaryFrame(data.data);
+                    break;
+                case 'sessionResumptionUpdate':
+                    if (data.data?.resumable && data.data.newHandle) {
+                        this.sessionHandle = data.data.newHandle;
+                    }
+                    break;
+                case 'content':
+                    this.bufferTurnContent(data.data);
+                    this.emit('content', data.data);
+                    break;
+                case 'audio':
+                    const audioBuffer = Utils.base64ToArrayBuffer(data.data);
+                    this.emit('audio', audioBuffer, { sampleRate: data.sampleRate || this.protocol.outputSampleRate || 24000 });
+                    break;
+                case 'toolCall':
+                    this.emit('toolcall', data.data);
+                    break;
+                case 'toolCallCancellation':
+                    this.emit('toolcallcancellation', data.data);
+                    break;
+                case 'interrupted':
+                    this.commitTurn();
+                    this.emit('interrupted');
+                    break;
+                case 'turnComplete':
+                    this.commitTurn();
+                    this.emit('turncomplete');
+                    break;
+                case 'error': {
+                    const error = ProtocolErrors.fromBackend(data);
+                    if (this.reconnecting && !ErrorCodes[error.code].fatal) {
+                        this.handleResumeError(error.message);
+                        break;
+                    }
+                    this.reportError(error);
+                    break;
+                }
+                case 'log':
+                    this.emit('log', data.data);
+                    break;
+                default:
+                    console.log('Unknown message type from backend:', data.type);
+            }
+        }
+
+        // Every error leaves the client as an Error with `code` and `retryable`
+        reportError(error) {
+            this.lastError = error;
+            this.emit('error', error);
+            this.log('client.error', `${error.code}: ${error.message}`);
+        }
+
+        hasFatalError() {
+            return !!this.lastError && !this.lastError.retryable && !!ErrorCodes[this.lastError.code]?.fatal;
+        }
+
+        handleInvalidMessage(message, problem) {
+            this.invalidMessages++;
+            console.warn(`Dropped invalid backend message: ${problem}`, message);
+            this.log('client.invalidMessage', problem);
+        }
+
+        // Relay backends report their protocol version in setupComplete; ones
+        // that predate versioning report nothing and are treated as version 1
+        checkProtocolVersion(setup) {
+            if (!this.protocol.versioned) return true;
+
+            const version = setup?.protocolVersion ?? MIN_PROTOCOL_VERSION;
+            this.backendProtocolVersion = version;
+            if (version >= MIN_PROTOCOL_VERSION && version <= PROTOCOL_VERSION) {
+                return true;
+            }
+
+            const error = ProtocolErrors.create(
+                'PROTOCOL_MISMATCH',
+                `Backend speaks protocol version ${version}, client supports ${MIN_PROTOCOL_VERSION}-${PROTOCOL_VERSION}`,
+                { details: { backendVersion: version, clientVersion: PROTOCOL_VERSION } }
+            );
+            this.reportError(error);
+            if (this.reconnecting) {
+                this.failResume(error.message);
+            }
+            this.disconnect();
+            return false;
+        }
+
+        handleBinaryFrame(buffer) {
+            const frame = Utils.decodeAudioFrame(buffer);
+            if (!frame || frame.type !== BinaryFrame.AUDIO_PCM16) {
+                console.warn('Unknown binary frame from backend');
+                return;
+            }
+            this.emit('audio', frame.payload, { sampleRate: frame.sampleRate });
+        }
+
+        // A rejected handle gets one fresh setup with replay before giving up
+        handleResumeError(message) {
+            if (this.resumeAttempt?.withHandle) {
+                this.log('client.resume', `Resumption handle rejected: ${message}`);
+                this.sessionHandle = null;
+                this.resumeSession();
+                return;
+            }
+
+            this.failResume(message || 'Backend rejected session setup');
+            this.disconnect();
+        }
+
+        sendToBackend(message) {
+            if (this.isTransportOpen()) {
+                const problem = this.validateMessages && !(message instanceof ArrayBuffer) &&
+                    MessageSchema.validate('upstream', message);
+                if (problem) {
+                    console.error(`Refusing to send invalid message: ${problem}`, message);
+                    this.log('client.invalidMessage', problem);
+                    return;
+                }
+                const wire = message instanceof ArrayBuffer ? message : this.protocol.encode(message);
+                if (wire === null) return;
+                (Array.isArray(wire) ? wire : [wire]).forEach(frame => this.transport.send(frame));
+            } else {
+                console.warn('Backend not connected, message not sent:', message);
+            }
+        }
+
+        isTransportOpen() {
+            return !!this.transport && this.transport.isOpen;
+        }
+
+        // Session messages wait in the queue until the session is set up again
+        enqueue(message) {
+            if (this.ready && this.isTransportOpen() && !this.outboundQueue.length) {
+                this.sendToBackend(message);
+                return;
+            }
+
+            this.outboundQueue.push(message);
+            if (this.outboundQueue.length > this.maxQueueSize) {
+                this.outboundQueue.shift();
+                this.droppedMessages++;
+            }
+        }
+
+        flushQueue() {
+            while (this.outboundQueue.length && this.ready && this.isTransportOpen()) {
+                this.sendToBackend(this.outboundQueue.shift());
+            }
+        }
+
+        // Realtime media is only worth sending while fresh: audio chunks are
+        // dropped under backpressure, video frames collapse to the latest one
+        sendRealtime(message, isVideo) {
+            const congested = !this.ready || !this.isTransportOpen() ||
+                this.transport.bufferedAmount > this.bufferThreshold;
+
+            if (!congested) {
+                this.sendToBackend(message);
+                return true;
+            }
+
+            if (isVideo) {
+                if (this.pendingFrame) this.droppedChunks++;
+                this.pendingFrame = message;
+                this.scheduleDrain();
+            } else {
+                this.droppedChunks++;
+            }
+            return false;
+        }
+
+        scheduleDrain() {
+            if (this.drainTimer) return;
+
+            this.drainTimer = setTimeout(() => {
+                this.drainTimer = null;
+                if (!this.pendingFrame || this._status === 'disconnected') return;
+
+                const frame = this.pendingFrame;
+                this.pendingFrame = null;
+                this.sendRealtime(frame, true);
+            }, 100);
+        }
+
+        clearQueue() {
+            this.outboundQueue = [];
+            this.pendingFrame = null;
+            if (this.drainTimer) {
+                clearTimeout(this.drainTimer);
+                this.drainTimer = null;
+            }
+        }
+
+        getQueueStats() {
+            return {
+                queueDepth: this.outboundQueue.length + (this.pendingFrame ? 1 : 0),
+                droppedChunks: this.droppedChunks,
+                droppedMessages: this.droppedMessages,
+                invalidMessages: this.invalidMessages,
+                bufferedAmount: this.transport?.bufferedAmount || 0
+            };
+        }
+
+        async connect(model, config) {
+            if (this._status === 'connected' || this._status === 'connecting') {
+                return false;
+            }
+
+            this._status = 'connecting';
+            this.connectGeneration++;
+            model = model || this.protocol.defaultModel;
             this.config = config;
             this._model = model;
+            this.sessionEstablished = false;
+            this.sessionHandle = null;
+            this.history = [];
+            this.pendingTurn = { heard: '', text: '', transcript: '' };
+            this.clearQueue();
+            this.droppedChunks = 0;
+            this.droppedMessages = 0;
+            this.rtt = null;
+            this.rttSamples = [];
+            this.lastError = null;
+            this.invalidMessages = 0;
+            this.backendProtocolVersion = null;
+
+            if (this.sessionResumption) {
+                config = { ...config, sessionResumption: {} };
+            }
+            this.binaryAudio = false;
+            this.closeAudioEncoder();
+            // Each new session tries WebSockets again after an earlier fallback
+            this.transportType = this.transportMode === 'http' ? 'http' : 'websocket';
 
-            this.setupWebSocket();
+            this.setupTransport();
 
             return new Promise((resolve) => {
                 const onOpen = () => {
@@ -1237,6 +3393,8 @@
                         type: 'connect',
                         model,
                         config,
+                        protocolVersion: PROTOCOL_VERSION,
+                        ...this.getCapabilities(),
                     });
                     this.off('open', onOpen);
                     resolve(true);
@@ -1254,6 +3412,8 @@
         }
 
         disconnect() {
+            // Also cancels a retry scheduled after a failed first connection
+            this.connectGeneration++;
             if (this._status === 'disconnected') {
                 return false;
             }
@@ -1262,9 +3422,18 @@
                 type: 'disconnect',
             });
 
-            if (this.ws) {
-                this.ws.close(1000, 'Client disconnect');
-                this.ws = null;
+            this.reconnecting = false;
+            this.sessionEstablished = false;
+            this.ready = false;
+            this.clearQueue();
+            this.closeAudioEncoder();
+            this.stopHeartbeat();
+            this.clearTokenRefresh();
+            this.token = null;
+
+            if (this.transport) {
+                this.transport.close(1000, 'Client disconnect');
+                this.transport = null;
             }
 
             this._status = 'disconnected';
@@ -1272,13 +3441,122 @@
             return true;
         }
 
-        sendRealtimeInput(chunks) {
-            if (this._status !== 'connected') return;
+        // Optional protocol features offered to the backend in the connect message
+        getCapabilities() {
+            const capabilities = {};
+            if (this.binaryAudioRequested && this.transport?.supportsBinary) {
+                capabilities.binaryAudio = true;
+            }
+            // In order of preference; the backend answers with one in setupComplete
+            if (this.audioCodecRequested === 'opus' && OpusAudioEncoder.isAvailable()) {
+                capabilities.audioCodecs = ['opus', 'pcm'];
+            }
+            return Object.keys(capabilities).length ? { capabilities } : {};
+        }
 
-            this.sendToBackend({
-                type: 'sendRealtimeInput',
-                data: chunks,
+        negotiateAudioCodec(codec) {
+            this.closeAudioEncoder();
+            this.audioCodec = codec === 'opus' && this.audioCodecRequested === 'opus' ? 'opus' : 'pcm';
+            if (this.audioCodecRequested === this.audioCodec) return;
+            // Opus is only offered when this browser can encode it
+            if (this.audioCodecRequested === 'opus' && !OpusAudioEncoder.isAvailable()) {
+                this.log('client.audioCodec', 'WebCodecs AudioEncoder is not available in this browser, sending PCM');
+            } else {
+                this.log('client.audioCodec', `Backend did not accept ${this.audioCodecRequested}, sending PCM`);
+            }
+        }
+
+        // Encoders are created per sample rate once the first chunk arrives
+        startAudioEncoder(sampleRate) {
+            this.closeAudioEncoder();
+            const encoder = new OpusAudioEncoder(sampleRate, { bitrate: this.audioBitrate });
+            this.audioEncoder = encoder;
+
+            const fallBack = (reason) => {
+                if (this.audioEncoder !== encoder) return;
+                this.closeAudioEncoder();
+                this.audioCodec = 'pcm';
+                this.log('client.audioCodec', `Opus encoding unavailable (${reason}), sending PCM`);
+            };
+
+            encoder.on('packet', (packet) => this.sendEncodedAudio(packet, sampleRate));
+            encoder.on('error', (error) => fallBack(error.message));
+            encoder.start().then((started) => {
+                if (!started) fallBack('unsupported configuration');
+            });
+        }
+
+        closeAudioEncoder() {
+            this.audioEncoder?.close();
+            this.audioEncoder = null;
+            this.pendingPackets = [];
+            if (this.packetFlushTimer) {
+                clearTimeout(this.packetFlushTimer);
+                this.packetFlushTimer = null;
+            }
+        }
+
+        // Opus packets from one microphone chunk travel in a single message
+        sendEncodedAudio(packet, sampleRate) {
+            if (this._status === 'disconnected') return;
+
+            if (this.binaryAudio) {
+                if (this.sendRealtime(Utils.encodeAudioFrame(packet, sampleRate, BinaryFrame.AUDIO_OPUS), false)) {
+                    this.log('client.realtimeInput', 'audio (binary opus)');
+                }
+                return;
+            }
+
+            this.pendingPackets.push({
+                mimeType: `audio/opus;rate=${sampleRate}`,
+                data: Utils.arrayBufferToBase64(packet),
             });
+            if (!this.packetFlushTimer) {
+                this.packetFlushTimer = setTimeout(() => this.flushEncodedAudio(), 0);
+            }
+        }
+
+        flushEncodedAudio() {
+            if (this.packetFlushTimer) {
+                clearTimeout(this.packetFlushTimer);
+                this.packetFlushTimer = null;
+            }
+            if (!this.pendingPackets.length) return;
+            const packets = this.pendingPackets;
+            this.pendingPackets = [];
+            this.sendRealtimeInput(packets);
+        }
+
+        // Send one PCM16 microphone chunk: Opus-encoded or as a binary frame
+        // when negotiated, base64 JSON otherwise
+        sendAudio(buffer, sampleRate = 16000) {
+            if (this._status === 'disconnected') return;
+
+            if (this.audioCodec === 'opus') {
+                if (this.audioEncoder?.sampleRate !== sampleRate) {
+                    this.startAudioEncoder(sampleRate);
+                }
+                // Chunks before the encoder is configured go out as PCM
+                if (this.audioEncoder?.encode(buffer)) return;
+            }
+
+            if (this.binaryAudio) {
+                if (this.sendRealtime(Utils.encodeAudioFrame(buffer, sampleRate), false)) {
+                    this.log('client.realtimeInput', 'audio (binary)');
+                }
+                return;
+            }
+
+            this.sendRealtimeInput([
+                {
+                    mimeType: `audio/pcm;rate=${sampleRate}`,
+                    data: Utils.arrayBufferToBase64(buffer),
+                },
+            ]);
+        }
+
+        sendRealtimeInput(chunks) {
+            if (this._status === 'disconnected') return;
 
             let hasAudio = false;
             let hasVideo = false;
@@ -1301,17 +3579,24 @@
                         : hasVideo
                             ? 'video'
                             : 'unknown';
-            this.log('client.realtimeInput', message);
+
+            const sent = this.sendRealtime({
+                type: 'sendRealtimeInput',
+                data: chunks,
+            }, hasVideo && !hasAudio);
+            if (sent) {
+                this.log('client.realtimeInput', message);
+            }
         }
 
         sendToolResponse(toolResponse) {
-            if (this._status !== 'connected') return;
+            if (this._status === 'disconnected') return;
 
             if (
                 toolResponse.functionResponses &&
                 toolResponse.functionResponses.length
             ) {
-                this.sendToBackend({
+                this.enqueue({
                     type: 'sendToolResponse',
                     data: toolResponse,
                 });
@@ -1319,13 +3604,37 @@
             }
         }
 
+        // The user finished speaking: ask the model to respond to the audio so far
+        endTurn() {
+            if (this._status === 'disconnected') return;
+
+            // Audio still inside the Opus encoder belongs to this turn
+            if (this.audioEncoder) {
+                this.audioEncoder.flush().then(() => this.sendEndTurn());
+                return;
+            }
+            this.sendEndTurn();
+        }
+
+        sendEndTurn() {
+            if (this._status === 'disconnected') return;
+
+            this.flushEncodedAudio();
+            this.enqueue({
+                type: 'send',
+                data: { turns: [], turnComplete: true },
+            });
+            this.log('client.endTurn', 'End of user turn');
+        }
+
         send(parts, turnComplete = true) {
-            if (this._status !== 'connected') return;
+            if (this._status === 'disconnected') return;
 
-            this.sendToBackend({
+            this.enqueue({
                 type: 'send',
                 data: { turns: parts, turnComplete },
             });
+            this.recordHistory('user', parts);
 
             this.log('client.send', {
                 turns: Array.isArray(parts) ? parts : [parts],
@@ -1334,14 +3643,229 @@
         }
     }
 
+    // =============================================================================
+    // AUDIO PROCESSING CHAIN
+    // =============================================================================
+
+    // Ramp for live parameter changes so they don't click
+    const PROCESSING_RAMP_TIME = 0.02;
+
+    const setAudioParam = (param, value, context) => {
+        if (param && typeof value === 'number' && Number.isFinite(value)) {
+            param.setTargetAtTime(value, context.currentTime, PROCESSING_RAMP_TIME);
+        }
+    };
+
+    const updateCompressor = (node, options, context) => {
+        setAudioParam(node.threshold, options.threshold, context);
+        setAudioParam(node.knee, options.knee, context);
+        setAudioParam(node.ratio, options.ratio, context);
+        setAudioParam(node.attack, options.attack / 1000, context);
+        setAudioParam(node.release, options.release / 1000, context);
+    };
+
+    // Built-in steps: `create` builds the step's node, `update` applies new
+    // options to it in place. Levels are in dB and times in ms.
+    const BuiltInAudioProcessors = {
+        highpass: {
+            defaults: { frequency: 80, Q: 0.707 },
+            create: context => {
+                const node = context.createBiquadFilter();
+                node.type = 'highpass';
+                return node;
+            },
+            update: (node, options, context) => {
+                setAudioParam(node.frequency, options.frequency, context);
+                setAudioParam(node.Q, options.Q, context);
+            }
+        },
+        gate: {
+            defaults: { threshold: -50, range: -40, attack: 2, hold: 150, release: 150 },
+            worklet: { name: 'noise-gate', source: AudioWorklets.NoiseGateWorklet },
+            create: (context, options) => new AudioWorkletNode(context, 'noise-gate', { processorOptions: options }),
+            update: (node, options) => node.port.postMessage(options)
+        },
+        compressor: {
+            defaults: { threshold: -24, knee: 12, ratio: 4, attack: 3, release: 250 },
+            create: context => context.createDynamicsCompressor(),
+            update: updateCompressor
+        },
+        limiter: {
+            defaults: { threshold: -3, knee: 0, ratio: 20, attack: 1, release: 100 },
+            create: context => context.createDynamicsCompressor(),
+            update: updateCompressor
+        },
+        gain: {
+            defaults: { gain: 1 },
+            create: context => context.createGain(),
+            update: (node, options, context) => setAudioParam(node.gain, options.gain, context)
+        }
+    };
+
+    // Host-registered AudioWorklet processors: name -> module URL
+    const customAudioProcessors = new Map();
+    // Worklet modules already added, per AudioContext
+    const loadedWorkletModules = new WeakMap();
+
+    // Ordered processing between the microphone source and everything that
+    // consumes it. `input` and `output` stay the same node while the steps
+    // between them are updated or rebuilt, so the chain can change mid-session.
+    class AudioProcessingChain {
+        constructor(context) {
+            this.context = context;
+            this.input = context.createGain();
+            this.output = context.createGain();
+            this.steps = [];
+            this.pending = Promise.resolve();
+            this.input.connect(this.output);
+        }
+
+        // `processor` is the source code of an AudioWorkletProcessor class,
+        // registered under `name` inside the worklet scope, or `{ url }` of a
+        // module that calls registerProcessor(name, ...) itself. Names can only
+        // be registered once, since the worklet scope cannot replace them.
+        static register(name, processor) {
+            if (typeof name !== 'string' || !/^[A-Za-z_][\w-]*$/.test(name) || BuiltInAudioProcessors[name]) {
+                throw new Error(`Invalid audio processor name: ${name}`);
+            }
+            if (customAudioProcessors.has(name)) {
+                throw new Error(`Audio processor already registered: ${name}`);
+            }
+            let url;
+            if (typeof processor === 'string') {
+                url = Utils.createWorkletFromSrc(name, processor);
+            } else if (typeof processor?.url === 'string') {
+                url = processor.url;
+            } else {
+                throw new Error('Audio processor must be source code or { url }');
+            }
+            customAudioProcessors.set(name, url);
+        }
+
+        static isAvailable(type) {
+            return !!BuiltInAudioProcessors[type] || customAudioProcessors.has(type);
+        }
+
+        // Error for the first step no processor exists for, or null
+        static validate(steps) {
+            const unknown = steps.find(step => step && step.enabled !== false && !AudioProcessingChain.isAvailable(step.type));
+            return unknown ? new Error(`Unknown audio processor: ${unknown.type}`) : null;
+        }
+
+        // Steps are `{ type, ...options }`; `enabled: false` bypasses a step.
+        // Steps whose type matches the current step at the same position are
+        // updated in place, any other change rebuilds the chain. Rejects, leaving
+        // the current chain in place, when a step cannot be created.
+        configure(chain = []) {
+            const run = this.pending.then(() => this.apply(chain));
+            this.pending = run.catch(() => { });
+            return run;
+        }
+
+        async apply(chain) {
+            const specs = chain
+                .filter(step => step && step.enabled !== false)
+                .map(({ type, enabled, ...options }) => {
+                    if (!AudioProcessingChain.isAvailable(type)) {
+                        throw new Error(`Unknown audio processor: ${type}`);
+                    }
+                    return { type, options: { ...BuiltInAudioProcessors[type]?.defaults, ...options } };
+                });
+
+            const sameLayout = specs.length === this.steps.length &&
+                specs.every((spec, index) => spec.type === this.steps[index].type);
+            if (sameLayout) {
+                specs.forEach((spec, index) => this.updateStep(this.steps[index], spec.options));
+                return;
+            }
+
+            const steps = [];
+            for (const spec of specs) {
+                steps.push(await this.createStep(spec));
+            }
+            this.connect(steps);
+        }
+
+        async createStep({ type, options }) {
+            const builtIn = BuiltInAudioProcessors[type];
+            if (builtIn) {
+                if (builtIn.worklet) {
+                    await this.loadModule(builtIn.worklet.name,
+                        () => Utils.createWorkletFromSrc(builtIn.worklet.name, builtIn.worklet.source));
+                }
+                const node = builtIn.create(this.context, options);
+                builtIn.update(node, options, this.context);
+                return { type, node };
+            }
+
+            await this.loadModule(type, () => customAudioProcessors.get(type));
+            const node = new AudioWorkletNode(this.context, type, { processorOptions: options });
+            const step = { type, node };
+            this.updateStep(step, options);
+            return step;
+        }
+
+        // Custom processors get options as AudioParams where they declare them
+        // and as a port message otherwise
+        updateStep(step, options) {
+            const builtIn = BuiltInAudioProcessors[step.type];
+            if (builtIn) {
+                builtIn.update(step.node, options, this.context);
+                return;
+            }
+            Object.entries(options).forEach(([key, value]) => {
+                setAudioParam(step.node.parameters?.get(key), value, this.context);
+            });
+            step.node.port.postMessage(options);
+        }
+
+        async loadModule(name, getUrl) {
+            let loaded = loadedWorkletModules.get(this.context);
+            if (!loaded) {
+                loaded = new Map();
+                loadedWorkletModules.set(this.context, loaded);
+            }
+            if (!loaded.has(name)) {
+                const loading = this.context.audioWorklet.addModule(getUrl());
+                loaded.set(name, loading);
+                loading.catch(() => loaded.delete(name));
+            }
+            return loaded.get(name);
+        }
+
+        connect(steps) {
+            this.input.disconnect();
+            this.steps.forEach(step => step.node.disconnect());
+            this.steps = steps;
+
+            let previous = this.input;
+            steps.forEach(step => {
+                previous.connect(step.node);
+                previous = step.node;
+            });
+            previous.connect(this.output);
+        }
+
+        disconnect() {
+            this.input.disconnect();
+            this.steps.forEach(step => step.node.disconnect());
+            this.output.disconnect();
+            this.steps = [];
+        }
+    }
+
     // =============================================================================
     // AUDIO RECORDER
     // =============================================================================
 
+    // Emits 'pcm' / 'data' chunks, 'volume' levels, 'speechstart' /
+    // 'speechend' from the VAD worklet and 'devicechange' when the mic is swapped
     class AudioRecorder extends EventEmitter {
-        constructor(sampleRate = 16000, silenceTimeout = 1000) {
+        constructor(sampleRate = 16000, vadOptions = {}, inputOptions = {}) {
             super();
             this.sampleRate = sampleRate;
+            // Length of each emitted PCM chunk in ms
+            this.frameDuration = inputOptions.frameDuration ?? 100;
             this.stream = undefined;
             this.audioContext = undefined;
             this.contextSampleRate = sampleRate;
@@ -1349,11 +3873,195 @@
             this.recording = false;
             this.recordingWorklet = undefined;
             this.vuWorklet = undefined;
+            this.vadWorklet = undefined;
+            // Spectrum of the microphone for visualizers
+            this.analyser = undefined;
+            // Host-configurable processing between the source and the worklets
+            this.processingChain = undefined;
+            this.processingSteps = inputOptions.processingChain || [];
             this.starting = null;
-            this.silenceTimeout = silenceTimeout;
-            this.lastActiveTime = 0;
-            this.silenceCheck = null;
-            this.isSilent = false;
+            this.vadOptions = {
+                sensitivity: vadOptions.sensitivity ?? 0.5,
+                hangoverMs: vadOptions.hangoverMs ?? 1000,
+                minSpeechMs: vadOptions.minSpeechMs ?? 150
+            };
+            this.speaking = false;
+
+            // Input device (null follows the system default) and browser processing
+            this.inputOptions = {
+                deviceId: inputOptions.deviceId || null,
+                echoCancellation: inputOptions.echoCancellation ?? true,
+                noiseSuppression: inputOptions.noiseSuppression ?? true,
+                autoGainControl: inputOptions.autoGainControl ?? true
+            };
+            this.switching = null;
+            this.handleDeviceChange = this.handleDeviceChange.bind(this);
+        }
+
+        static async listInputDevices() {
+            if (!navigator.mediaDevices?.enumerateDevices) return [];
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            return devices
+                .filter(device => device.kind === 'audioinput')
+                .map(({ deviceId, groupId, label }, index) => ({
+                    deviceId,
+                    groupId,
+                    // Labels stay empty until microphone permission is granted
+                    label: label || `Microphone ${index + 1}`
+                }));
+        }
+
+        getAudioConstraints() {
+            const { deviceId, echoCancellation, noiseSuppression, autoGainControl } = this.inputOptions;
+            const constraints = { echoCancellation, noiseSuppression, autoGainControl };
+            if (deviceId) {
+                constraints.deviceId = { exact: deviceId };
+            }
+            return constraints;
+        }
+
+        async openStream() {
+            try {
+                return await navigator.mediaDevices.getUserMedia({ audio: this.getAudioConstraints() });
+            } catch (error) {
+                const missing = error.name === 'OverconstrainedError' || error.name === 'NotFoundError';
+                if (!this.inputOptions.deviceId || !missing) throw error;
+
+                // The chosen device is gone: fall back to the system default
+                console.warn('Selected microphone unavailable, using the default device');
+                this.inputOptions.deviceId = null;
+                return navigator.mediaDevices.getUserMedia({ audio: this.getAudioConstraints() });
+            }
+        }
+
+        getCurrentDevice() {
+            const track = this.stream?.getAudioTracks()[0];
+            const settings = track?.getSettings?.() || {};
+            return {
+                deviceId: settings.deviceId || null,
+                groupId: settings.groupId || null,
+                label: track?.label || ''
+            };
+        }
+
+        setInputDevice(deviceId) {
+            this.inputOptions.deviceId = deviceId || null;
+            return this.switchStream('selected');
+        }
+
+        // echoCancellation, noiseSuppression and autoGainControl
+        setProcessing(options = {}) {
+            ['echoCancellation', 'noiseSuppression', 'autoGainControl'].forEach(key => {
+                if (typeof options[key] === 'boolean') {
+                    this.inputOptions[key] = options[key];
+                }
+            });
+            return this.switchStream('constraints');
+        }
+
+        // Swap the microphone under the running worklets; the session and
+        // everything downstream keep going
+        switchStream(reason) {
+            if (!this.recording) return Promise.resolve();
+            if (this.switching) {
+                return this.switching.then(() => this.switchStream(reason));
+            }
+
+            this.switching = (async () => {
+                const stream = await this.openStream();
+                if (!this.recording) {
+                    stream.getTracks().forEach(track => track.stop());
+                    return;
+                }
+
+                const source = this.audioContext.createMediaStreamSource(stream);
+                source.connect(this.processingChain.input);
+                this.source?.disconnect();
+                this.releaseStream();
+                this.stream = stream;
+                this.source = source;
+                this.watchTrack();
+                this.emit('devicechange', { ...this.getCurrentDevice(), reason });
+            })()
+                .catch(error => {
+                    console.error('Failed to switch microphone:', error);
+                    this.emit('error', error);
+                })
+                .finally(() => {
+                    this.switching = null;
+                });
+            return this.switching;
+        }
+
+        // An unplugged device ends its track
+        watchTrack() {
+            const track = this.stream?.getAudioTracks()[0];
+            if (track) {
+                track.onended = () => this.switchStream('ended');
+            }
+        }
+
+        releaseStream() {
+            this.stream?.getTracks().forEach(track => {
+                track.onended = null;
+                track.stop();
+            });
+            this.stream = undefined;
+        }
+
+        async handleDeviceChange() {
+            if (!this.recording) return;
+
+            // Fails when permission was revoked or the document is no longer active
+            let devices;
+            try {
+                devices = await AudioRecorder.listInputDevices();
+            } catch (error) {
+                console.error('Failed to list microphones:', error);
+                this.emit('error', error);
+                return;
+            }
+            this.emit('devices', devices);
+
+            const current = this.getCurrentDevice();
+            const selected = this.inputOptions.deviceId;
+            if (selected) {
+                if (!devices.some(device => device.deviceId === selected)) {
+                    this.inputOptions.deviceId = null;
+                    this.switchStream('unplugged');
+                }
+                return;
+            }
+
+            // Following the system default: move when the current device
+            // disappears or the default points at another device
+            const systemDefault = devices.find(device => device.deviceId === 'default');
+            const currentGone = current.deviceId && !devices.some(device => device.deviceId === current.deviceId);
+            const defaultMoved = systemDefault && current.groupId && systemDefault.groupId !== current.groupId;
+            if (currentGone || defaultMoved) {
+                this.switchStream('default-changed');
+            }
+        }
+
+        // Sensitivity (0-1), hangover and minimum speech duration can change while recording
+        setVadOptions(options = {}) {
+            this.vadOptions = { ...this.vadOptions, ...options };
+            this.vadWorklet?.port.postMessage(this.vadOptions);
+        }
+
+        // Applies immediately when recording, otherwise on the next start
+        setProcessingChain(steps = []) {
+            if (this.processingChain) {
+                return this.processingChain.configure(steps).then(() => {
+                    this.processingSteps = steps;
+                });
+            }
+            const error = AudioProcessingChain.validate(steps);
+            if (error) {
+                return Promise.reject(error);
+            }
+            this.processingSteps = steps;
+            return Promise.resolve();
         }
 
         async start(externalContext) {
@@ -1363,7 +4071,7 @@
 
             this.starting = new Promise(async (resolve, reject) => {
                 try {
-                    this.stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+                    this.stream = await this.openStream();
                     if (externalContext) {
                         this.audioContext = externalContext;
                         if (this.audioContext.state === 'suspended') {
@@ -1378,28 +4086,40 @@
                     }
                     this.contextSampleRate = this.audioContext.sampleRate;
                     this.source = this.audioContext.createMediaStreamSource(this.stream);
+                    this.processingChain = new AudioProcessingChain(this.audioContext);
+                    this.source.connect(this.processingChain.input);
+                    try {
+                        await this.processingChain.configure(this.processingSteps);
+                    } catch (error) {
+                        // A broken chain shouldn't cost the user their mic
+                        console.error('Failed to set up audio processing, recording unprocessed audio:', error);
+                        this.emit('error', error);
+                    }
+                    const processed = this.processingChain.output;
 
                     const workletName = "audio-recorder-worklet";
                     const src = Utils.createWorkletFromSrc(workletName, AudioWorklets.AudioRecordingWorklet);
 
                     await this.audioContext.audioWorklet.addModule(src);
-                    this.recordingWorklet = new AudioWorkletNode(
-                        this.audioContext,
-                        workletName,
-                    );
+                    // The worklet resamples to the protocol rate itself
+                    this.recordingWorklet = new AudioWorkletNode(this.audioContext, workletName, {
+                        processorOptions: {
+                            targetSampleRate: this.sampleRate,
+                            frameDuration: this.frameDuration
+                        }
+                    });
 
-                    this.recordingWorklet.port.onmessage = async (ev) => {
+                    this.recordingWorklet.port.onmessage = (ev) => {
                         const arrayBuffer = ev.data.data.int16arrayBuffer;
                         if (arrayBuffer) {
-                            let int16 = new Int16Array(arrayBuffer);
-                            if (this.contextSampleRate !== this.sampleRate) {
-                                int16 = await this.resampleTo16k(int16);
+                            this.emit("pcm", arrayBuffer);
+                            // Base64 is only produced for listeners that still need it
+                            if (this.listenerCount("data")) {
+                                this.emit("data", Utils.arrayBufferToBase64(arrayBuffer));
                             }
-                            const arrayBufferString = Utils.arrayBufferToBase64(int16.buffer);
-                            this.emit("data", arrayBufferString);
                         }
                     };
-                    this.source.connect(this.recordingWorklet);
+                    processed.connect(this.recordingWorklet);
 
                     // Volume meter worklet
                     const vuWorkletName = "vu-meter";
@@ -1408,24 +4128,33 @@
                     );
                     this.vuWorklet = new AudioWorkletNode(this.audioContext, vuWorkletName);
                     this.vuWorklet.port.onmessage = (ev) => {
-                        const vol = ev.data.volume;
-                        this.emit("volume", vol);
-                        if (vol > 0.01) {
-                            this.lastActiveTime = Date.now();
-                            this.isSilent = false;
-                        }
+                        this.emit("volume", ev.data.volume);
                     };
+                    processed.connect(this.vuWorklet);
 
-                    this.source.connect(this.vuWorklet);
-                    this.isSilent = false;
-                    this.lastActiveTime = Date.now();
-                    this.silenceCheck = setInterval(() => {
-                        if (Date.now() - this.lastActiveTime > this.silenceTimeout && !this.isSilent) {
-                            this.isSilent = true;
-                            this.emit("silence");
-                        }
-                    }, 200);
+                    // Voice activity detection worklet
+                    const vadWorkletName = "vad";
+                    await this.audioContext.audioWorklet.addModule(
+                        Utils.createWorkletFromSrc(vadWorkletName, AudioWorklets.VadWorklet),
+                    );
+                    this.vadWorklet = new AudioWorkletNode(this.audioContext, vadWorkletName);
+                    this.vadWorklet.port.postMessage(this.vadOptions);
+                    this.vadWorklet.port.onmessage = (ev) => {
+                        const { event, ...details } = ev.data;
+                        this.speaking = event === "speechstart";
+                        this.emit(event, details);
+                    };
+                    processed.connect(this.vadWorklet);
+
+                    this.analyser = this.audioContext.createAnalyser();
+                    this.analyser.fftSize = 512;
+                    this.analyser.smoothingTimeConstant = 0.6;
+                    processed.connect(this.analyser);
+
+                    this.speaking = false;
                     this.recording = true;
+                    this.watchTrack();
+                    navigator.mediaDevices.addEventListener?.('devicechange', this.handleDeviceChange);
                     resolve();
                     this.starting = null;
                 } catch (error) {
@@ -1438,52 +4167,120 @@
 
         stop() {
             const handleStop = () => {
+                navigator.mediaDevices?.removeEventListener?.('devicechange', this.handleDeviceChange);
                 this.source?.disconnect();
-                this.stream?.getTracks().forEach((track) => track.stop());
-                this.stream = undefined;
+                this.releaseStream();
                 this.recordingWorklet = undefined;
                 this.vuWorklet = undefined;
-                if (this.silenceCheck) {
-                    clearInterval(this.silenceCheck);
-                    this.silenceCheck = null;
-                }
+                this.vadWorklet = undefined;
+                this.analyser = undefined;
+                this.processingChain?.disconnect();
+                this.processingChain = undefined;
                 this.recording = false;
-                this.isSilent = false;
+                this.speaking = false;
+            };
+
+            if (this.starting) {
+                this.starting.then(handleStop);
+                return;
+            }
+            handleStop();
+        }
+    }
+
+    // =============================================================================
+    // AUDIO ENCODING
+    // =============================================================================
+
+    // Compresses PCM16 microphone chunks to Opus with WebCodecs. Emits raw Opus
+    // packets (no Ogg container), one per `frameDuration` ms of audio.
+    class OpusAudioEncoder extends EventEmitter {
+        constructor(sampleRate, options = {}) {
+            super();
+            this.sampleRate = sampleRate;
+            this.bitrate = options.bitrate ?? 24000;
+            this.frameDuration = options.frameDuration ?? 20;
+            this.encoder = null;
+            this.timestamp = 0;
+        }
+
+        static isAvailable() {
+            return typeof AudioEncoder !== 'undefined' && typeof AudioData !== 'undefined';
+        }
+
+        getConfig() {
+            return {
+                codec: 'opus',
+                sampleRate: this.sampleRate,
+                numberOfChannels: 1,
+                bitrate: this.bitrate,
+                opus: { frameDuration: this.frameDuration * 1000 }  // microseconds
             };
+        }
 
-            if (this.starting) {
-                this.starting.then(handleStop);
-                return;
+        // Resolves false when this browser cannot encode Opus at this rate
+        async start() {
+            if (!OpusAudioEncoder.isAvailable()) return false;
+
+            const config = this.getConfig();
+            try {
+                const { supported } = await AudioEncoder.isConfigSupported(config);
+                if (!supported) return false;
+
+                this.encoder = new AudioEncoder({
+                    output: (chunk) => {
+                        const packet = new Uint8Array(chunk.byteLength);
+                        chunk.copyTo(packet);
+                        this.emit('packet', packet.buffer);
+                    },
+                    error: (error) => {
+                        this.close();
+                        this.emit('error', error);
+                    }
+                });
+                this.encoder.configure(config);
+                return true;
+            } catch (error) {
+                console.warn('Opus encoder could not be configured:', error);
+                this.close();
+                return false;
             }
-            handleStop();
         }
 
-        async resampleTo16k(int16Array) {
-            if (this.contextSampleRate === this.sampleRate) {
-                return int16Array;
-            }
+        // Returns false when the chunk was not taken (encoder not ready)
+        encode(buffer) {
+            if (this.encoder?.state !== 'configured') return false;
+
+            const numberOfFrames = buffer.byteLength / 2;
+            const audioData = new AudioData({
+                format: 's16',
+                sampleRate: this.sampleRate,
+                numberOfFrames,
+                numberOfChannels: 1,
+                timestamp: Math.round(this.timestamp),
+                data: buffer
+            });
+            this.timestamp += numberOfFrames * 1e6 / this.sampleRate;
+            this.encoder.encode(audioData);
+            audioData.close();
+            return true;
+        }
 
-            const float32 = new Float32Array(int16Array.length);
-            for (let i = 0; i < int16Array.length; i++) {
-                float32[i] = int16Array[i] / 32768;
+        // Emits packets for everything encoded so far, padding the last frame
+        async flush() {
+            if (this.encoder?.state !== 'configured') return;
+            try {
+                await this.encoder.flush();
+            } catch (error) {
+                // Closed while flushing
             }
+        }
 
-            const lengthInSamples = Math.ceil(float32.length * this.sampleRate / this.contextSampleRate);
-            const offlineCtx = new OfflineAudioContext(1, lengthInSamples, this.sampleRate);
-            const buffer = offlineCtx.createBuffer(1, float32.length, this.contextSampleRate);
-            buffer.copyToChannel(float32, 0);
-            const source = offlineCtx.createBufferSource();
-            source.buffer = buffer;
-            source.connect(offlineCtx.destination);
-            source.start(0);
-            const rendered = await offlineCtx.startRendering();
-            const renderedData = rendered.getChannelData(0);
-            const result = new Int16Array(renderedData.length);
-            for (let i = 0; i < renderedData.length; i++) {
-                const s = Math.max(-1, Math.min(1, renderedData[i]));
-                result[i] = s * 32768;
+        close() {
+            if (this.encoder && this.encoder.state !== 'closed') {
+                this.encoder.close();
             }
-            return result;
+            this.encoder = null;
         }
     }
 
@@ -1491,22 +4288,142 @@
     // AUDIO STREAMER
     // =============================================================================
 
+    // Headroom added on top of the measured jitter, in seconds
+    const JITTER_SAFETY_MARGIN = 0.03;
+
     class AudioStreamer {
-        constructor(context) {
+        // jitterBuffer: { initialDelay, minDelay, maxDelay } in seconds
+        constructor(context, options = {}) {
             this.context = context;
-            this.sampleRate = 24000;
-            this.bufferSize = 7680;
-            this.audioQueue = [];
+            this.sampleRate = options.sampleRate || 24000;
             this.isPlaying = false;
-            this.isStreamComplete = false;
-            this.checkInterval = null;
+            this.isStreamComplete = true;
             this.scheduledTime = 0;
-            this.initialBufferTime = 0.1;
+            this.scheduledSources = new Set();
+
+            // Adaptive jitter buffer: the pre-roll before a response starts
+            // playing follows the measured arrival jitter
+            this.jitterBuffer = { initialDelay: 0.1, minDelay: 0.04, maxDelay: 1, ...options.jitterBuffer };
+            this.jitterEstimate = this.jitterBuffer.initialDelay - JITTER_SAFETY_MARGIN;
+            this.targetDelay = this.jitterBuffer.initialDelay;
+            this.streamStart = 0;
+            this.streamDuration = 0;
+            this.minTransitOffset = Infinity;
+            this.resetStats();
+
+            // gainNode fades out on stop(); duckNode lowers playback during
+            // barge-in; volumeNode applies the user's volume and mute
+            this.volume = 1;
+            this.outputMuted = false;
+            this.playbackRate = 1;
+            this.sinkId = '';
+            this.outputElement = null;
+            this.volumeNode = this.context.createGain();
+            this.volumeNode.connect(this.context.destination);
+            this.duckNode = this.context.createGain();
+            this.duckNode.connect(this.volumeNode);
+            this.outputAnalyser = this.context.createAnalyser();
+            this.outputAnalyser.fftSize = 512;
+            this.outputSamples = new Float32Array(this.outputAnalyser.fftSize);
+            this.volumeNode.connect(this.outputAnalyser);
             this.gainNode = this.context.createGain();
-            this.source = this.context.createBufferSource();
             this.endOfQueueAudioSource = null;
-            this.gainNode.connect(this.context.destination);
+            this.gainNode.connect(this.duckNode);
+            this.isDucked = false;
             this.onComplete = () => { };
+            this.onUnderrun = () => { };
+            // Every chunk as it is scheduled, with its effective rate and context start time
+            this.onSchedule = () => { };
+        }
+
+        // RMS of what is currently coming out of the speakers
+        getOutputLevel() {
+            if (!this.isPlaying) return 0;
+            this.outputAnalyser.getFloatTimeDomainData(this.outputSamples);
+            let sum = 0;
+            for (let i = 0; i < this.outputSamples.length; i++) {
+                sum += this.outputSamples[i] * this.outputSamples[i];
+            }
+            return Math.sqrt(sum / this.outputSamples.length);
+        }
+
+        static async listOutputDevices() {
+            if (!navigator.mediaDevices?.enumerateDevices) return [];
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            return devices
+                .filter(device => device.kind === 'audiooutput')
+                .map(({ deviceId, label }, index) => ({
+                    deviceId,
+                    label: label || `Speaker ${index + 1}`
+                }));
+        }
+
+        // AudioContext.setSinkId (Chromium) or an <audio> element (Firefox)
+        static supportsOutputSelection() {
+            return (typeof AudioContext !== 'undefined' && 'setSinkId' in AudioContext.prototype) ||
+                (typeof HTMLMediaElement !== 'undefined' && 'setSinkId' in HTMLMediaElement.prototype);
+        }
+
+        setVolume(volume) {
+            this.volume = Math.min(1, Math.max(0, Number(volume) || 0));
+            this.applyVolume();
+        }
+
+        setOutputMuted(muted) {
+            this.outputMuted = !!muted;
+            this.applyVolume();
+        }
+
+        applyVolume() {
+            const target = this.outputMuted ? 0 : this.volume;
+            this.volumeNode.gain.setTargetAtTime(target, this.context.currentTime, 0.02);
+        }
+
+        // Applies to buffers scheduled from now on; AudioBufferSourceNode
+        // resamples, so pitch moves with the rate
+        setPlaybackRate(rate) {
+            this.playbackRate = Math.min(2, Math.max(0.5, Number(rate) || 1));
+        }
+
+        // '' routes to the system default output
+        async setSinkId(deviceId) {
+            const sinkId = deviceId || '';
+            if (typeof this.context.setSinkId === 'function') {
+                await this.context.setSinkId(sinkId);
+            } else if (AudioStreamer.supportsOutputSelection()) {
+                await this.routeThroughElement(sinkId);
+            } else {
+                throw new Error('Output device selection is not supported in this browser');
+            }
+            this.sinkId = sinkId;
+        }
+
+        async routeThroughElement(sinkId) {
+            if (!this.outputElement) {
+                const destination = this.context.createMediaStreamDestination();
+                this.outputElement = new Audio();
+                this.outputElement.srcObject = destination.stream;
+                this.volumeNode.disconnect(this.context.destination);
+                this.volumeNode.connect(destination);
+            }
+            await this.outputElement.setSinkId(sinkId);
+            await this.outputElement.play();
+        }
+
+        duck(level = 0.2, rampTime = 0.05) {
+            const now = this.context.currentTime;
+            this.isDucked = true;
+            this.duckNode.gain.cancelScheduledValues(now);
+            this.duckNode.gain.setValueAtTime(this.duckNode.gain.value, now);
+            this.duckNode.gain.linearRampToValueAtTime(level, now + rampTime);
+        }
+
+        unduck(rampTime = 0.15) {
+            const now = this.context.currentTime;
+            this.isDucked = false;
+            this.duckNode.gain.cancelScheduledValues(now);
+            this.duckNode.gain.setValueAtTime(this.duckNode.gain.value, now);
+            this.duckNode.gain.linearRampToValueAtTime(1, now + rampTime);
         }
 
         async addWorklet(workletName, workletSrc, handler) {
@@ -1533,118 +4450,147 @@
             return float32Array;
         }
 
-        addPCM16(chunk) {
-            this.isStreamComplete = false;
-            let processingBuffer = this._processPCM16Chunk(chunk);
-
-            while (processingBuffer.length >= this.bufferSize) {
-                const buffer = processingBuffer.slice(0, this.bufferSize);
-                this.audioQueue.push(buffer);
-                processingBuffer = processingBuffer.slice(this.bufferSize);
-            }
-
-            if (processingBuffer.length > 0) {
-                this.audioQueue.push(processingBuffer);
-            }
+        // `sampleRate` is the backend's declared output rate for this chunk;
+        // AudioBuffers at any rate are resampled to the context by the browser
+        addPCM16(chunk, sampleRate = this.sampleRate) {
+            const samples = this._processPCM16Chunk(chunk);
+            if (!samples.length) return;
+            this.sampleRate = sampleRate;
 
-            if (!this.isPlaying) {
+            const now = this.context.currentTime;
+            const duration = samples.length / sampleRate / this.playbackRate;
+            this.stats.chunks++;
+
+            const streamStart = this.isStreamComplete || !this.isPlaying;
+            if (streamStart) {
+                // New response: pre-roll by the current jitter buffer target, but
+                // never ahead of the previous response's audio still in the queue.
+                // Arrival offsets are measured from here either way.
+                const queuedUntil = this.isPlaying ? this.scheduledTime : now;
+                this.isStreamComplete = false;
                 this.isPlaying = true;
-                this.scheduledTime = this.context.currentTime + this.initialBufferTime;
-                this.scheduleNextBuffer();
-            }
-        }
-
-        createAudioBuffer(audioData) {
-            const audioBuffer = this.context.createBuffer(
-                1,
-                audioData.length,
-                this.sampleRate
-            );
-            audioBuffer.getChannelData(0).set(audioData);
-            return audioBuffer;
-        }
-
-        scheduleNextBuffer() {
-            const SCHEDULE_AHEAD_TIME = 0.2;
-
-            while (
-                this.audioQueue.length > 0 &&
-                this.scheduledTime < this.context.currentTime + SCHEDULE_AHEAD_TIME
-            ) {
-                const audioData = this.audioQueue.shift();
-                const audioBuffer = this.createAudioBuffer(audioData);
-                const source = this.context.createBufferSource();
-
-                if (this.audioQueue.length === 0) {
-                    if (this.endOfQueueAudioSource) {
-                        this.endOfQueueAudioSource.onended = null;
-                    }
-                    this.endOfQueueAudioSource = source;
-                    source.onended = () => {
-                        if (
-                            !this.audioQueue.length &&
-                            this.endOfQueueAudioSource === source
-                        ) {
-                            this.endOfQueueAudioSource = null;
-                            this.onComplete();
-                        }
-                    };
+                this.streamStart = now;
+                this.streamDuration = 0;
+                this.minTransitOffset = Infinity;
+                this.scheduledTime = Math.max(queuedUntil, now + this.targetDelay);
+            } else {
+                const buffered = this.scheduledTime - now;
+                if (buffered < 0) {
+                    // Ran dry mid-response: the gap was audible, so rebuild the buffer
+                    this.stats.underruns++;
+                    this.stats.underrunTime += -buffered;
+                    this.jitterEstimate = Math.max(this.jitterEstimate, this.targetDelay - buffered);
+                    this.updateTargetDelay();
+                    this.scheduledTime = now + this.targetDelay;
+                    this.onUnderrun(this.getStats());
+                } else if (buffered < this.targetDelay / 2) {
+                    this.stats.lateChunks++;
                 }
-
-                source.buffer = audioBuffer;
-                source.connect(this.gainNode);
-
-                const startTime = Math.max(this.scheduledTime, this.context.currentTime);
-                source.start(startTime);
-                this.scheduledTime = startTime + audioBuffer.duration;
             }
 
-            if (this.audioQueue.length === 0) {
+            this.trackArrival(now, duration);
+            this.scheduleBuffer(samples, sampleRate, duration, streamStart);
+        }
+
+        // How far this chunk arrived behind the earliest-arriving chunk of the
+        // response, relative to its place in the audio. That spread is the
+        // delay needed to play without gaps: fast attack, slow release.
+        trackArrival(now, duration) {
+            const offset = (now - this.streamStart) - this.streamDuration;
+            this.streamDuration += duration;
+            this.minTransitOffset = Math.min(this.minTransitOffset, offset);
+
+            const needed = offset - this.minTransitOffset;
+            const rate = needed > this.jitterEstimate ? 0.5 : 0.02;
+            this.jitterEstimate += (needed - this.jitterEstimate) * rate;
+            this.updateTargetDelay();
+        }
+
+        // Applied when a response starts or after an underrun, never mid-stream
+        updateTargetDelay() {
+            const { minDelay, maxDelay } = this.jitterBuffer;
+            this.targetDelay = Math.min(maxDelay, Math.max(minDelay, this.jitterEstimate + JITTER_SAFETY_MARGIN));
+        }
+
+        // Chunks are scheduled as they arrive, so playback does not depend on
+        // timers that background tabs throttle
+        scheduleBuffer(samples, sampleRate, duration, streamStart) {
+            const audioBuffer = this.context.createBuffer(1, samples.length, sampleRate);
+            audioBuffer.getChannelData(0).set(samples);
+
+            const source = this.context.createBufferSource();
+            source.buffer = audioBuffer;
+            source.playbackRate.value = this.playbackRate;
+            source.connect(this.gainNode);
+
+            const startTime = Math.max(this.scheduledTime, this.context.currentTime);
+            source.start(startTime);
+            this.scheduledTime = startTime + duration;
+            this.onSchedule(samples, { sampleRate: sampleRate * this.playbackRate, startTime, streamStart });
+
+            this.scheduledSources.add(source);
+            this.endOfQueueAudioSource = source;
+            source.onended = () => {
+                this.scheduledSources.delete(source);
+                if (this.endOfQueueAudioSource !== source) return;
+                this.endOfQueueAudioSource = null;
+                // Without complete() this is an underrun, not the end of the response
                 if (this.isStreamComplete) {
                     this.isPlaying = false;
-                    if (this.checkInterval) {
-                        clearInterval(this.checkInterval);
-                        this.checkInterval = null;
-                    }
-                } else {
-                    if (!this.checkInterval) {
-                        this.checkInterval = setInterval(() => {
-                            if (this.audioQueue.length > 0) {
-                                this.scheduleNextBuffer();
-                            }
-                        }, 100);
-                    }
+                    this.onComplete();
                 }
-            } else {
-                const nextCheckTime =
-                    (this.scheduledTime - this.context.currentTime) * 1000;
-                setTimeout(
-                    () => this.scheduleNextBuffer(),
-                    Math.max(0, nextCheckTime - 50)
-                );
-            }
+            };
+        }
+
+        getStats() {
+            return {
+                sampleRate: this.sampleRate,
+                bufferedMs: Math.max(0, Math.round((this.scheduledTime - this.context.currentTime) * 1000)),
+                targetDelayMs: Math.round(this.targetDelay * 1000),
+                jitterMs: Math.round(this.jitterEstimate * 1000),
+                chunks: this.stats.chunks,
+                underruns: this.stats.underruns,
+                underrunMs: Math.round(this.stats.underrunTime * 1000),
+                lateChunks: this.stats.lateChunks
+            };
+        }
+
+        resetStats() {
+            this.stats = { chunks: 0, underruns: 0, underrunTime: 0, lateChunks: 0 };
         }
 
         stop() {
+            const now = this.context.currentTime;
             this.isPlaying = false;
             this.isStreamComplete = true;
-            this.audioQueue = [];
-            this.scheduledTime = this.context.currentTime;
+            this.scheduledTime = now;
+            this.endOfQueueAudioSource = null;
 
-            if (this.checkInterval) {
-                clearInterval(this.checkInterval);
-                this.checkInterval = null;
-            }
+            // Fade out what is already scheduled, then cut it; new audio goes
+            // through a fresh gain node straight away
+            const fadingNode = this.gainNode;
+            fadingNode.gain.setValueAtTime(fadingNode.gain.value, now);
+            fadingNode.gain.linearRampToValueAtTime(0, now + 0.1);
+            this.scheduledSources.forEach(source => {
+                source.onended = null;
+                try {
+                    source.stop(now + 0.1);
+                } catch (e) {
+                    // Already stopped
+                }
+            });
+            this.scheduledSources.clear();
 
-            this.gainNode.gain.linearRampToValueAtTime(
-                0,
-                this.context.currentTime + 0.1
-            );
+            this.gainNode = this.context.createGain();
+            this.gainNode.connect(this.duckNode);
 
             setTimeout(() => {
-                this.gainNode.disconnect();
-                this.gainNode = this.context.createGain();
-                this.gainNode.connect(this.context.destination);
+                fadingNode.disconnect();
+                // Playback is silent now, so lifting the duck cannot be heard
+                // unless a new response already started
+                if (this.isDucked) {
+                    this.unduck(this.isPlaying ? 0.15 : 0);
+                }
             }, 200);
         }
 
@@ -1652,14 +4598,271 @@
             if (this.context.state === "suspended") {
                 await this.context.resume();
             }
-            this.isStreamComplete = false;
-            this.scheduledTime = this.context.currentTime + this.initialBufferTime;
-            this.gainNode.gain.setValueAtTime(1, this.context.currentTime);
         }
 
+        // The backend finished the response; playback ends with the last chunk
         complete() {
             this.isStreamComplete = true;
-            this.onComplete();
+            if (!this.endOfQueueAudioSource) {
+                this.isPlaying = false;
+                this.onComplete();
+            }
+        }
+    }
+
+    // =============================================================================
+    // BARGE-IN DETECTION
+    // =============================================================================
+
+    // Decides from microphone and playback levels whether the user started
+    // talking over the assistant. The share of playback that leaks back into
+    // the mic (echo) is learned while the user is quiet, so the assistant's own
+    // voice does not count as speech.
+    class BargeInDetector {
+        constructor(options = {}) {
+            this.echoMargin = options.echoMargin ?? 2;
+            this.minLevel = options.minLevel ?? 0.02;
+            this.minDuration = options.minDuration ?? 100;
+            this.echoCoupling = 0.3;
+            this.outputPeak = 0;
+            this.rearm();
+        }
+
+        // Ready for the next assistant turn; the echo estimate is kept
+        rearm() {
+            this.speechSince = null;
+            this.triggered = false;
+        }
+
+        // Called on every mic level update while the assistant is playing.
+        // Returns true once, when a barge-in is detected.
+        update(micLevel, outputLevel, userSpeaking, now = Date.now()) {
+            if (this.triggered) return false;
+
+            // Echo arrives a little after playback, so compare against a decaying peak
+            this.outputPeak = Math.max(outputLevel, this.outputPeak * 0.8);
+            const echo = this.outputPeak * this.echoCoupling;
+
+            if (!userSpeaking) {
+                if (this.outputPeak > 0.01) {
+                    const ratio = Math.min(2, micLevel / this.outputPeak);
+                    this.echoCoupling += (ratio - this.echoCoupling) * 0.1;
+                }
+                this.speechSince = null;
+                return false;
+            }
+
+            if (micLevel < this.minLevel || micLevel < echo * this.echoMargin) {
+                this.speechSince = null;
+                return false;
+            }
+
+            this.speechSince = this.speechSince ?? now;
+            if (now - this.speechSince >= this.minDuration) {
+                this.triggered = true;
+                return true;
+            }
+            return false;
+        }
+    }
+
+    // =============================================================================
+    // SESSION RECORDING
+    // =============================================================================
+
+    // Chunks that start within this many seconds of the previous chunk's end are
+    // joined to it, so capture timing jitter does not leave clicks or gaps
+    const RECORDING_JOIN_TOLERANCE = 0.05;
+
+    // Opt-in capture of both sides of a conversation for QA and support:
+    // microphone audio as sent and assistant audio as played, placed on one
+    // performance.now() timeline. Exports a stereo WAV, user left and
+    // assistant right, with turn markers as cue points.
+    class SessionRecorder extends EventEmitter {
+        constructor(options = {}) {
+            super();
+            this.sampleRate = options.sampleRate || 24000;
+            this.maxSize = options.maxSize ?? 50 * 1024 * 1024;
+            this.clear();
+        }
+
+        clear() {
+            this.startTime = null;
+            this.tracks = { user: [], assistant: [] };  // [{ start, samples }] in output frames
+            this.cursors = { user: 0, assistant: 0 };
+            this.markers = [];
+            this.truncated = false;
+        }
+
+        get frames() {
+            return Math.max(this.cursors.user, this.cursors.assistant);
+        }
+
+        // Output frame for a performance.now() timestamp; the first call starts the timeline
+        toFrame(time) {
+            if (this.startTime === null) {
+                this.startTime = time;
+            }
+            return Math.max(0, Math.round((time - this.startTime) / 1000 * this.sampleRate));
+        }
+
+        // `samples` (Int16Array or Float32Array) start at `time`, when they
+        // were captured or will be played
+        add(track, samples, sampleRate, time) {
+            if (this.truncated || !samples.length) return;
+
+            const data = this.resample(samples, sampleRate);
+            const cursor = this.cursors[track];
+            let start = this.toFrame(time);
+            if (start - cursor < this.sampleRate * RECORDING_JOIN_TOLERANCE) {
+                start = cursor;
+            }
+
+            const end = start + data.length;
+            if (SessionRecorder.wavSize(Math.max(end, this.frames), this.markers) > this.maxSize) {
+                this.truncated = true;
+                this.emit('limit', { duration: this.frames / this.sampleRate, size: this.maxSize });
+                return;
+            }
+            this.tracks[track].push({ start, samples: data });
+            this.cursors[track] = end;
+        }
+
+        // Drop audio after `time`, e.g. assistant speech that was cut off
+        cut(track, time) {
+            if (this.startTime === null) return;
+
+            const at = this.toFrame(time);
+            const chunks = this.tracks[track];
+            while (chunks.length && chunks[chunks.length - 1].start >= at) {
+                chunks.pop();
+            }
+            const last = chunks[chunks.length - 1];
+            if (last && last.start + last.samples.length > at) {
+                last.samples = last.samples.subarray(0, at - last.start);
+            }
+            this.cursors[track] = Math.min(this.cursors[track], at);
+        }
+
+        mark(label, time = performance.now()) {
+            if (this.truncated) return;
+            this.markers.push({ label, frame: this.toFrame(time) });
+        }
+
+        getMarkers() {
+            return this.markers.map(({ label, frame }) => ({ label, time: frame / this.sampleRate }));
+        }
+
+        // Linear interpolation is plenty for review audio
+        resample(samples, sampleRate) {
+            const scale = samples instanceof Int16Array ? 1 : 32767;
+            const length = Math.round(samples.length * this.sampleRate / sampleRate);
+            const step = sampleRate / this.sampleRate;
+            const result = new Int16Array(length);
+
+            for (let i = 0; i < length; i++) {
+                const position = i * step;
+                const index = Math.floor(position);
+                const next = Math.min(index + 1, samples.length - 1);
+                const value = samples[index] + (samples[next] - samples[index]) * (position - index);
+                result[i] = Math.max(-32768, Math.min(32767, Math.round(value * scale)));
+            }
+            return result;
+        }
+
+        exportWav() {
+            const frames = this.frames;
+            const pcm = new Int16Array(frames * 2);
+            ['user', 'assistant'].forEach((track, channel) => {
+                this.tracks[track].forEach(({ start, samples }) => {
+                    for (let i = 0; i < samples.length; i++) {
+                        pcm[(start + i) * 2 + channel] = samples[i];
+                    }
+                });
+            });
+
+            // Turn ends are marked once the last audio has played, so they can
+            // land just past the final frame; they belong at the end, not dropped
+            const markers = this.markers.map(marker => ({ ...marker, frame: Math.min(marker.frame, frames) }));
+            return new Blob([SessionRecorder.encodeWav(pcm, this.sampleRate, 2, markers)], { type: 'audio/wav' });
+        }
+
+        static labelSize(label) {
+            const size = 4 + new TextEncoder().encode(label).length + 1;
+            return size + (size % 2);
+        }
+
+        static wavSize(frames, markers) {
+            const cues = markers.length ? 12 + markers.length * 24 : 0;
+            const labels = markers.length
+                ? 12 + markers.reduce((sum, { label }) => sum + 8 + SessionRecorder.labelSize(label), 0)
+                : 0;
+            return 44 + frames * 4 + cues + labels;
+        }
+
+        // 16-bit PCM WAV; markers become a `cue ` chunk with `LIST/adtl` labels
+        static encodeWav(pcm, sampleRate, channels, markers = []) {
+            const encoder = new TextEncoder();
+            const buffer = new ArrayBuffer(SessionRecorder.wavSize(pcm.length / channels, markers));
+            const view = new DataView(buffer);
+            let offset = 0;
+            const writeString = (text) => {
+                for (let i = 0; i < text.length; i++) view.setUint8(offset++, text.charCodeAt(i));
+            };
+            const writeUint32 = (value) => {
+                view.setUint32(offset, value, true);
+                offset += 4;
+            };
+            const writeUint16 = (value) => {
+                view.setUint16(offset, value, true);
+                offset += 2;
+            };
+
+            writeString('RIFF');
+            writeUint32(buffer.byteLength - 8);
+            writeString('WAVE');
+
+            writeString('fmt ');
+            writeUint32(16);
+            writeUint16(1);  // PCM
+            writeUint16(channels);
+            writeUint32(sampleRate);
+            writeUint32(sampleRate * channels * 2);
+            writeUint16(channels * 2);
+            writeUint16(16);
+
+            writeString('data');
+            writeUint32(pcm.byteLength);
+            new Int16Array(buffer, offset, pcm.length).set(pcm);
+            offset += pcm.byteLength;
+
+            if (!markers.length) return buffer;
+
+            writeString('cue ');
+            writeUint32(4 + markers.length * 24);
+            writeUint32(markers.length);
+            markers.forEach(({ frame }, index) => {
+                writeUint32(index + 1);  // Cue id
+                writeUint32(frame);
+                writeString('data');
+                writeUint32(0);
+                writeUint32(0);
+                writeUint32(frame);
+            });
+
+            writeString('LIST');
+            writeUint32(4 + markers.reduce((sum, { label }) => sum + 8 + SessionRecorder.labelSize(label), 0));
+            writeString('adtl');
+            markers.forEach(({ label }, index) => {
+                const size = SessionRecorder.labelSize(label);
+                writeString('labl');
+                // Chunk size excludes the pad byte
+                writeUint32(4 + encoder.encode(label).length + 1);
+                writeUint32(index + 1);
+                new Uint8Array(buffer, offset, size - 4).set(encoder.encode(label));
+                offset += size - 4;
+            });
+            return buffer;
         }
     }
 
@@ -1681,15 +4884,30 @@
             this.isListening = false;
             this.isTalking = false;
             this.isPaused = false;
+            this.isReconnecting = false;
             this.volume = 0;
             this.statusText = 'Ready to start';
             this.videoPreview = null;
 
+            // Input mode: 'continuous' keeps the mic open, 'push-to-talk' and
+            // 'toggle' open it from the primary button or the hotkey
+            this.inputMode = config.inputMode || 'continuous';
+            this.hotkey = config.hotkey || null;
+            this.isMicOpen = this.inputMode === 'continuous';
+
+            // Audio settings panel
+            this.isSettingsOpen = false;
+            this.audioDevices = [];
+            this.audioInput = { ...config.audioInput };
+            this.audioOutput = { ...config.audioOutput };
+            this.outputDevices = [];
+
             // Feature flags
             this.features = {
                 video: config.features?.video || false,
                 screenShare: config.features?.screenShare || false,
                 fileUpload: config.features?.fileUpload || false,
+                audioSettings: config.features?.audioSettings !== false,
             };
 
             // Video states
@@ -1704,6 +4922,18 @@
             this.onToggleScreenShare = null;
             this.onFileUpload = null;
             this.onPrepareAudioContext = null;
+            this.onTalkStart = null;
+            this.onTalkEnd = null;
+            this.onOpenSettings = null;
+            this.onSelectInputDevice = null;
+            this.onChangeAudioProcessing = null;
+            this.onSelectOutputDevice = null;
+            this.onChangeOutputVolume = null;
+            this.onToggleOutputMute = null;
+            this.onChangePlaybackRate = null;
+            // Analyser sources for the visualizer
+            this.getInputAnalyser = null;
+            this.getOutputAnalyser = null;
 
             this.init();
         }
@@ -1758,10 +4988,12 @@
         }
 
         createUI() {
+            this.stopVisualizer();
             if (this.isMinimized) {
                 this.createMinimizedUI();
             } else {
                 this.createFullUI();
+                this.startVisualizer();
             }
         }
 
@@ -1773,8 +5005,13 @@
                 <div class="status-dot" id="status-dot"></div>
                 AI Assistant
               </h3>
-              <button class="minimize-btn" id="minimize-btn" title="Minimize">—</button>
+              <div class="header-actions">
+                ${this.features.audioSettings ? '<button class="minimize-btn" id="settings-btn" title="Audio settings">⚙️</button>' : ''}
+                <button class="minimize-btn" id="minimize-btn" title="Minimize">—</button>
+              </div>
             </div>
+
+            ${this.createSettingsPanel()}
             
             <div class="audio-visualizer" id="audio-visualizer">
               ${Array(16).fill(0).map((_, i) => `<div class="audio-bar" data-bar="${i}"></div>`).join('')}
@@ -1806,6 +5043,138 @@
             this.setupEventListeners();
         }
 
+        createSettingsPanel() {
+            if (!this.features.audioSettings) return '';
+
+            const toggle = (key, label) => `
+              <label class="settings-toggle">
+                <input type="checkbox" data-processing="${key}" ${this.audioInput[key] !== false ? 'checked' : ''}>
+                ${label}
+              </label>`;
+
+            return `
+            <div class="settings-panel ${this.isSettingsOpen ? 'open' : ''}" id="settings-panel">
+              <label class="settings-field">
+                <span>Microphone</span>
+                <select id="mic-select"></select>
+              </label>
+              ${toggle('echoCancellation', 'Echo cancellation')}
+              ${toggle('noiseSuppression', 'Noise suppression')}
+              ${toggle('autoGainControl', 'Automatic gain')}
+              ${AudioStreamer.supportsOutputSelection() ? `
+              <label class="settings-field">
+                <span>Speaker</span>
+                <select id="speaker-select"></select>
+              </label>` : ''}
+              <div class="settings-field">
+                <span>Volume</span>
+                <div class="settings-row">
+                  <button class="minimize-btn" id="output-mute-btn" title="Mute assistant">🔊</button>
+                  <input type="range" id="output-volume" min="0" max="1" step="0.05" value="${this.audioOutput.volume ?? 1}">
+                </div>
+              </div>
+              <label class="settings-field">
+                <span>Speaking rate</span>
+                <select id="playback-rate">
+                  ${[0.75, 1, 1.25, 1.5, 2].map(rate => `<option value="${rate}">${rate}×</option>`).join('')}
+                </select>
+              </label>
+            </div>`;
+        }
+
+        // Options are built with DOM APIs since device labels come from the system
+        renderInputDevices(devices = this.audioDevices, selectedId = this.audioInput.deviceId) {
+            this.audioDevices = devices;
+            this.audioInput.deviceId = selectedId || null;
+
+            const select = this.container.querySelector('#mic-select');
+            if (!select) return;
+
+            select.innerHTML = '';
+            const systemDefault = document.createElement('option');
+            systemDefault.value = '';
+            systemDefault.textContent = 'System default';
+            select.appendChild(systemDefault);
+
+            devices
+                .filter(device => device.deviceId !== 'default')
+                .forEach(device => {
+                    const option = document.createElement('option');
+                    option.value = device.deviceId;
+                    option.textContent = device.label;
+                    select.appendChild(option);
+                });
+            select.value = this.audioInput.deviceId || '';
+        }
+
+        renderOutputDevices(devices = this.outputDevices, selectedId = this.audioOutput.deviceId) {
+            this.outputDevices = devices;
+            this.audioOutput.deviceId = selectedId || null;
+
+            const select = this.container.querySelector('#speaker-select');
+            if (!select) return;
+
+            select.innerHTML = '';
+            const systemDefault = document.createElement('option');
+            systemDefault.value = '';
+            systemDefault.textContent = 'System default';
+            select.appendChild(systemDefault);
+
+            devices
+                .filter(device => device.deviceId !== 'default')
+                .forEach(device => {
+                    const option = document.createElement('option');
+                    option.value = device.deviceId;
+                    option.textContent = device.label;
+                    select.appendChild(option);
+                });
+            select.value = this.audioOutput.deviceId || '';
+        }
+
+        updateAudioOutput(audioOutput) {
+            this.audioOutput = { ...this.audioOutput, ...audioOutput };
+
+            const select = this.container.querySelector('#speaker-select');
+            if (select) select.value = this.audioOutput.deviceId || '';
+
+            const volume = this.container.querySelector('#output-volume');
+            if (volume) volume.value = this.audioOutput.volume;
+
+            const muteBtn = this.container.querySelector('#output-mute-btn');
+            if (muteBtn) {
+                muteBtn.textContent = this.audioOutput.muted ? '🔇' : '🔊';
+                muteBtn.title = this.audioOutput.muted ? 'Unmute assistant' : 'Mute assistant';
+            }
+
+            const rate = this.container.querySelector('#playback-rate');
+            if (rate) {
+                // Rates set from code may not be in the list
+                const value = String(this.audioOutput.playbackRate);
+                if (![...rate.options].some(option => option.value === value)) {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = `${value}×`;
+                    rate.appendChild(option);
+                }
+                rate.value = value;
+            }
+        }
+
+        updateAudioProcessing(audioInput) {
+            this.audioInput = { ...this.audioInput, ...audioInput };
+            this.container.querySelectorAll('[data-processing]').forEach(input => {
+                input.checked = this.audioInput[input.dataset.processing] !== false;
+            });
+        }
+
+        toggleSettings() {
+            this.isSettingsOpen = !this.isSettingsOpen;
+            this.container.querySelector('#settings-panel')?.classList.toggle('open', this.isSettingsOpen);
+            if (this.isSettingsOpen) {
+                this.onOpenSettings?.();
+            }
+        }
+
         createFeatureButtons() {
             if (!this.features.video && !this.features.screenShare && !this.features.fileUpload) {
                 return '';
@@ -1862,6 +5231,49 @@
             const videoBtn = this.container.querySelector('#video-btn');
             const screenBtn = this.container.querySelector('#screen-btn');
             const fileBtn = this.container.querySelector('#file-btn');
+            const settingsBtn = this.container.querySelector('#settings-btn');
+            const micSelect = this.container.querySelector('#mic-select');
+
+            settingsBtn?.addEventListener('click', () => {
+                this.toggleSettings();
+            });
+
+            micSelect?.addEventListener('change', () => {
+                this.audioInput.deviceId = micSelect.value || null;
+                this.onSelectInputDevice?.(this.audioInput.deviceId);
+            });
+
+            this.container.querySelectorAll('[data-processing]').forEach(input => {
+                input.addEventListener('change', () => {
+                    const key = input.dataset.processing;
+                    this.audioInput[key] = input.checked;
+                    this.onChangeAudioProcessing?.({ [key]: input.checked });
+                });
+            });
+            this.renderInputDevices();
+
+            const speakerSelect = this.container.querySelector('#speaker-select');
+            const outputVolume = this.container.querySelector('#output-volume');
+            const outputMuteBtn = this.container.querySelector('#output-mute-btn');
+            const playbackRate = this.container.querySelector('#playback-rate');
+
+            speakerSelect?.addEventListener('change', () => {
+                this.onSelectOutputDevice?.(speakerSelect.value || null);
+            });
+
+            outputVolume?.addEventListener('input', () => {
+                this.onChangeOutputVolume?.(parseFloat(outputVolume.value));
+            });
+
+            outputMuteBtn?.addEventListener('click', () => {
+                this.onToggleOutputMute?.();
+            });
+
+            playbackRate?.addEventListener('change', () => {
+                this.onChangePlaybackRate?.(parseFloat(playbackRate.value));
+            });
+            this.renderOutputDevices();
+            this.updateAudioOutput();
 
             primaryAction?.addEventListener('click', () => {
                 // Allow host page to prepare AudioContext before we pre-warm it
@@ -1869,8 +5281,24 @@
 
                 if (!this.isConnected) {
                     this.startSession();
+                } else if (this.inputMode === 'toggle') {
+                    this.isMicOpen ? this.onTalkEnd?.() : this.onTalkStart?.();
+                }
+            });
+
+            // Push-to-talk: the mic is open while the button is held
+            primaryAction?.addEventListener('pointerdown', () => {
+                if (this.inputMode === 'push-to-talk' && this.isConnected && !this.isPaused) {
+                    this.onTalkStart?.();
                 }
             });
+            ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => {
+                primaryAction?.addEventListener(type, () => {
+                    if (this.inputMode === 'push-to-talk' && this.isMicOpen) {
+                        this.onTalkEnd?.();
+                    }
+                });
+            });
 
             pauseBtn?.addEventListener('click', () => {
                 this.pauseSession();
@@ -1899,24 +5327,96 @@
         }
 
         setupAudioVisualizer() {
-            this.visualizerInterval = setInterval(() => {
-                const bars = this.container.querySelectorAll('.audio-bar');
-                if (!bars.length) return;
-                bars.forEach((bar, index) => {
-                    if (this.isListening && this.volume > 0) {
-                        const height = Math.min(24, 4 + (this.volume * 200 * (0.5 + Math.random() * 0.5)));
-                        bar.style.height = `${height}px`;
-                        bar.classList.add('active');
-                    } else if (this.isTalking) {
-                        const height = 4 + Math.random() * 20;
-                        bar.style.height = `${height}px`;
-                        bar.classList.add('active');
-                    } else {
-                        bar.style.height = '4px';
-                        bar.classList.remove('active');
-                    }
-                });
-            }, 100);
+            this.visualizerBars = [];
+            this.spectrumBands = null;
+            this.spectrumData = null;
+            this.visualizerFrame = null;
+            this.handleVisibilityChange = () => this.startVisualizer();
+            document.addEventListener('visibilitychange', this.handleVisibilityChange);
+            this.startVisualizer();
+        }
+
+        // Runs only while the widget is open and the tab is visible; the loop
+        // stops itself when there is nothing to draw and updateUI restarts it
+        startVisualizer() {
+            if (this.visualizerFrame || !this.visualizerBars || this.isMinimized || document.hidden) return;
+            this.visualizerBars = Array.from(this.container.querySelectorAll('.audio-bar'));
+            this.visualizerFrame = requestAnimationFrame(() => this.renderVisualizer());
+        }
+
+        stopVisualizer() {
+            if (this.visualizerFrame) {
+                cancelAnimationFrame(this.visualizerFrame);
+                this.visualizerFrame = null;
+            }
+        }
+
+        renderVisualizer() {
+            this.visualizerFrame = null;
+            if (this.isMinimized || document.hidden || !this.visualizerBars.length) return;
+
+            // The assistant's voice takes the bars while it speaks, the mic otherwise
+            let mode = null;
+            let analyser = null;
+            if (this.isTalking) {
+                mode = 'speaking';
+                analyser = this.getOutputAnalyser?.();
+            } else if (this.isListening && this.isMicOpen) {
+                mode = 'listening';
+                analyser = this.getInputAnalyser?.();
+            }
+
+            const visualizer = this.container.querySelector('#audio-visualizer');
+            visualizer?.classList.toggle('listening', mode === 'listening');
+            visualizer?.classList.toggle('speaking', mode === 'speaking');
+
+            const levels = analyser ? this.readSpectrum(analyser) : null;
+            this.visualizerBars.forEach((bar, index) => {
+                const level = levels ? levels[index] : 0;
+                bar.style.height = `${4 + level * 20}px`;
+                bar.classList.toggle('active', level > 0.02);
+            });
+
+            if (mode) {
+                this.visualizerFrame = requestAnimationFrame(() => this.renderVisualizer());
+            }
+        }
+
+        // Average level (0-1) of each bar's band, bands spaced logarithmically
+        // over the speech range so low bins don't take most of the bars
+        readSpectrum(analyser) {
+            const bins = analyser.frequencyBinCount;
+            const sampleRate = analyser.context.sampleRate;
+            const barCount = this.visualizerBars.length;
+            if (this.spectrumData?.length !== bins || this.spectrumBands?.sampleRate !== sampleRate
+                || this.spectrumBands.edges.length !== barCount + 1) {
+                this.spectrumData = new Uint8Array(bins);
+                const binWidth = sampleRate / 2 / bins;
+                const low = 80;
+                const high = Math.min(8000, sampleRate / 2);
+                const edges = [];
+                for (let i = 0; i <= barCount; i++) {
+                    const frequency = low * Math.pow(high / low, i / barCount);
+                    // At least one bin per bar where the low end is coarser than the bands
+                    const edge = Math.max(i ? edges[i - 1] + 1 : 1, Math.round(frequency / binWidth));
+                    edges.push(Math.min(bins, edge));
+                }
+                this.spectrumBands = { sampleRate, edges };
+            }
+
+            analyser.getByteFrequencyData(this.spectrumData);
+            const { edges } = this.spectrumBands;
+            const levels = new Array(barCount);
+            for (let i = 0; i < barCount; i++) {
+                const start = edges[i];
+                const end = Math.max(start + 1, edges[i + 1]);
+                let sum = 0;
+                for (let bin = start; bin < end; bin++) {
+                    sum += this.spectrumData[bin] || 0;
+                }
+                levels[i] = sum / (end - start) / 255;
+            }
+            return levels;
         }
 
         // Action methods
@@ -1985,6 +5485,36 @@
             this.updateUI();
         }
 
+        updateReconnectingStatus(reconnecting) {
+            this.isReconnecting = reconnecting;
+            this.updateUI();
+        }
+
+        updateMicStatus(open) {
+            this.isMicOpen = open;
+            this.updateUI();
+        }
+
+        setInputMode(mode, hotkey = this.hotkey) {
+            this.inputMode = mode;
+            this.hotkey = hotkey;
+            this.isMicOpen = mode === 'continuous';
+            this.updateUI();
+        }
+
+        // 'Space' -> 'Space', 'KeyT' -> 'T', 'Digit1' -> '1'
+        getHotkeyLabel() {
+            return this.hotkey ? this.hotkey.replace(/^(Key|Digit)/, '') : null;
+        }
+
+        getTalkHint() {
+            const key = this.getHotkeyLabel();
+            const target = key ? `${key} or the button` : 'the button';
+            return this.inputMode === 'push-to-talk'
+                ? `Hold ${target} to talk`
+                : `Press ${target} to talk`;
+        }
+
         updateVolume(volume) {
             this.volume = volume;
         }
@@ -2038,9 +5568,11 @@
             if (statusDot) {
                 statusDot.className = 'status-dot';
                 if (this.isConnected) {
-                    if (this.isTalking) {
+                    if (this.isReconnecting) {
+                        statusDot.classList.add('reconnecting');
+                    } else if (this.isTalking) {
                         statusDot.classList.add('talking');
-                    } else if (this.isListening) {
+                    } else if (this.isListening && this.isMicOpen) {
                         statusDot.classList.add('listening');
                     } else {
                         statusDot.classList.add('connected');
@@ -2055,13 +5587,23 @@
                     actionIcon.textContent = '🎤';
                     actionText.textContent = 'Start Conversation';
                 } else {
+                    const manual = this.inputMode !== 'continuous';
                     primaryAction.className = 'primary-action active';
-                    if (this.isPaused) {
+                    primaryAction.classList.toggle('mic-open', manual && this.isMicOpen);
+                    if (this.isReconnecting) {
+                        actionIcon.textContent = '🔄';
+                        actionText.textContent = 'Reconnecting...';
+                    } else if (this.isPaused) {
                         actionIcon.textContent = '▶️';
                         actionText.textContent = 'Resume';
+                    } else if (manual && !this.isMicOpen) {
+                        actionIcon.textContent = '🎙️';
+                        actionText.textContent = this.inputMode === 'push-to-talk' ? 'Hold to Talk' : 'Tap to Talk';
                     } else if (this.isListening) {
                         actionIcon.textContent = '🔴';
-                        actionText.textContent = 'Listening...';
+                        actionText.textContent = this.inputMode === 'push-to-talk'
+                            ? 'Release to Send'
+                            : this.inputMode === 'toggle' ? 'Tap to Send' : 'Listening...';
                     } else if (this.isTalking) {
                         actionIcon.textContent = '🔊';
                         actionText.textContent = 'Speaking...';
@@ -2093,10 +5635,14 @@
             let status = '';
             if (!this.isConnected) {
                 status = 'Ready to start conversation';
+            } else if (this.isReconnecting) {
+                status = 'Connection lost, reconnecting...';
             } else if (this.isPaused) {
                 status = 'Session paused';
             } else if (this.isTalking) {
                 status = 'AI is speaking...';
+            } else if (this.inputMode !== 'continuous' && !this.isMicOpen) {
+                status = this.getTalkHint();
             } else if (this.isListening) {
                 status = 'Listening to your voice...';
             } else {
@@ -2111,12 +5657,12 @@
             }
 
             this.updateStatus(status);
+            this.startVisualizer();
         }
 
         destroy() {
-            if (this.visualizerInterval) {
-                clearInterval(this.visualizerInterval);
-            }
+            this.stopVisualizer();
+            document.removeEventListener('visibilitychange', this.handleVisibilityChange);
             if (this.container && this.container.parentNode) {
                 this.container.parentNode.removeChild(this.container);
             }
@@ -2204,8 +5750,13 @@
     // MAIN VOICE ASSISTANT CLASS - ENHANCED WITH VIDEO
     // =============================================================================
 
-    class VoiceAssistant {
+    // Targets that own their keys, so the talk hotkey leaves them alone
+    const HOTKEY_IGNORED_TARGETS = 'input, textarea, select, button, a[href], summary, ' +
+        '[role=button], [role=checkbox], [role=switch], [role=radio], [role=tab], [role=menuitem]';
+
+    class VoiceAssistant extends EventEmitter {
         constructor() {
+            super();
             this.client = null;
             this.audioRecorder = null;
             this.audioStreamer = null;
@@ -2214,20 +5765,78 @@
             this.videoStreamer = null;
             this.pageAccessor = null;
             this.ui = null;
+            this.toolRegistry = new ToolRegistry();
             this.config = {
                 backendUrl: 'wss://aiagent.babaai.live',
-                model: 'models/gemini-2.0-flash-exp',
+                model: null,  // Provider default when null
                 theme: 'theme-dark',
                 position: 'bottom-right',
                 startMinimized: false,
-                voiceName: 'Aoede',
+                voiceName: null,  // Provider default when null
                 apiKey: null,
-                silenceTimeout: 1000,
+                silenceTimeout: 1000,  // Speech offset hangover before the turn ends
+                vad: {
+                    sensitivity: 0.5,     // 0-1, higher picks up quieter speech
+                    minSpeechDuration: 150
+                },
+                turnDetection: 'client',  // 'client' ends turns on VAD speechend, 'server' leaves it to the backend
+                bargeIn: {
+                    enabled: true,
+                    duckLevel: 0.2,        // Playback gain while an interruption is unconfirmed
+                    confirmTimeout: 1500,  // Restore playback if the backend does not confirm by then
+                    echoMargin: 2          // Mic must beat the estimated echo by this factor
+                },
+                audioInput: {
+                    deviceId: null,  // null follows the system default microphone
+                    echoCancellation: true,
+                    noiseSuppression: true,
+                    autoGainControl: true,
+                    frameDuration: 100,  // ms of microphone audio per chunk sent
+                    processingChain: []  // Ordered steps, e.g. [{ type: 'highpass', frequency: 100 }, { type: 'gate' }]
+                },
+                audioOutput: {
+                    deviceId: null,     // null plays through the system default output
+                    volume: 1,          // 0-1
+                    muted: false,
+                    playbackRate: 1,    // 0.5-2, pitch follows the rate
+                    storageKey: 'voice-assistant-audio-output'  // Per-user settings key, null to not persist
+                },
+                inputMode: 'continuous',  // 'continuous', 'push-to-talk' or 'toggle'
+                hotkey: 'Space',          // KeyboardEvent.code for push-to-talk / toggle, null to disable
+                toolTimeout: 10000,
+                tools: [],
+                sessionResumption: true,
+                maxReconnectAttempts: 5,
+                binaryAudio: false,
+                recording: {
+                    enabled: false,             // Record both sides for exportRecording()
+                    sampleRate: 24000,
+                    maxSize: 50 * 1024 * 1024   // WAV bytes; recording stops at the cap
+                },
+                jitterBuffer: {
+                    initialDelay: 100,  // ms of audio buffered before the first response plays
+                    minDelay: 40,       // The buffer adapts to network jitter within these bounds
+                    maxDelay: 1000
+                },
+                // Per-source overrides of VIDEO_SAMPLING_PRESETS
+                videoSampling: {
+                    camera: { ...VIDEO_SAMPLING_PRESETS.camera },
+                    screen: { ...VIDEO_SAMPLING_PRESETS.screen }
+                },
+                audioCodec: 'pcm',    // 'opus' compresses mic audio with WebCodecs when the backend accepts it
+                audioBitrate: 24000,  // Opus bitrate in bits per second
+                heartbeatInterval: 15000,
+                tokenProvider: null,
+                transport: 'auto',
+                httpFallbackUrl: null,
+                provider: 'relay',  // 'relay', 'gemini-live', 'openai-realtime' or a protocol object
                 features: {
                     video: false,
                     screenShare: false,
                     fileUpload: false,
-                    pageAccess: true  // Enable by default
+                    pageAccess: true,  // Enable by default
+                    pageActions: false,
+                    audioSettings: true
                 },
                 websiteContext: null
             };
@@ -2236,6 +5845,11 @@
             this.volume = 0;
             this.isTalking = false;
             this.sessionStartTime = null;
+            this.micOpen = true;
+            this.keyHandlers = null;
+            this.bargeInDetector = null;
+            this.bargeInTimer = null;
+            this.sessionRecorder = null;
         }
 
         async init(userConfig = {}) {
@@ -2248,14 +5862,77 @@
                     ...userConfig.features,
                     pageAccess: userConfig.features?.pageAccess !== false // Default to true
                 },
+                vad: {
+                    ...this.config.vad,
+                    ...userConfig.vad
+                },
+                bargeIn: {
+                    ...this.config.bargeIn,
+                    ...userConfig.bargeIn
+                },
+                audioInput: {
+                    ...this.config.audioInput,
+                    ...userConfig.audioInput
+                },
+                audioOutput: {
+                    ...this.config.audioOutput,
+                    ...userConfig.audioOutput
+                },
+                jitterBuffer: {
+                    ...this.config.jitterBuffer,
+                    ...userConfig.jitterBuffer
+                },
+                recording: {
+                    ...this.config.recording,
+                    ...userConfig.recording
+                },
+                videoSampling: {
+                    camera: { ...this.config.videoSampling.camera, ...userConfig.videoSampling?.camera },
+                    screen: { ...this.config.videoSampling.screen, ...userConfig.videoSampling?.screen }
+                },
                 startMinimized: userConfig.startMinimized ?? this.config.startMinimized
             };
 
+            // The user's own choices from earlier visits win over host defaults
+            const { deviceId, volume, muted, playbackRate } = Utils.loadSettings(this.config.audioOutput.storageKey);
+            this.config.audioOutput = {
+                ...this.config.audioOutput,
+                ...(deviceId !== undefined && { deviceId }),
+                ...(volume !== undefined && { volume }),
+                ...(muted !== undefined && { muted }),
+                ...(playbackRate !== undefined && { playbackRate })
+            };
+
+            // Providers other than the relay bring their own default endpoint
+            const backendUrl = userConfig.backendUrl ||
+                (this.config.provider === 'relay' ? this.config.backendUrl : null);
+
             // Initialize WebSocket client
-            this.client = new WebSocketLiveClient(this.config.backendUrl, this.config.apiKey);
+            this.client = new WebSocketLiveClient(backendUrl, this.config.apiKey, {
+                sessionResumption: this.config.sessionResumption,
+                maxReconnectAttempts: this.config.maxReconnectAttempts,
+                binaryAudio: this.config.binaryAudio,
+                audioCodec: this.config.audioCodec,
+                audioBitrate: this.config.audioBitrate,
+                heartbeatInterval: this.config.heartbeatInterval,
+                tokenProvider: this.config.tokenProvider,
+                transport: this.config.transport,
+                httpFallbackUrl: this.config.httpFallbackUrl,
+                protocol: this.config.provider
+            });
+
+            this.setRecordingEnabled(this.config.recording.enabled);
+
+            // Register tools passed through config
+            this.toolRegistry.timeout = this.config.toolTimeout;
+            (this.config.tools || []).forEach(tool => this.registerTool(tool));
 
             // Initialize audio recorder
-            this.audioRecorder = new AudioRecorder(16000, this.config.silenceTimeout);
+            this.audioRecorder = new AudioRecorder(
+                this.client.protocol.inputSampleRate || 16000,
+                this.getVadOptions(),
+                this.config.audioInput
+            );
 
             // Initialize video/screen capture if enabled
             if (this.config.features.video) {
@@ -2270,8 +5947,14 @@
                 this.pageAccessor = new PageAccessor();
             }
 
+            // Register built-in page action tools if enabled
+            if (this.config.features.pageActions) {
+                const pageActions = new PageActions(this.pageAccessor || new PageAccessor());
+                pageActions.getTools().forEach(tool => this.registerTool(tool));
+            }
+
             // Initialize video streamer
-            this.videoStreamer = new VideoStreamer(this.client);
+            this.videoStreamer = new VideoStreamer(this.client, this.config.videoSampling);
 
             // iOS Safari: Skip AudioContext creation during init
             const isIOSSafari = /iPad|iPhone|iPod/.test(navigator.userAgent) &&
@@ -2284,7 +5967,7 @@
                 // Non-iOS: Create AudioContext normally
                 try {
                     const audioContext = await Utils.audioContext({ id: 'voice-assistant-audio' });
-                    this.audioStreamer = new AudioStreamer(audioContext);
+                    this.createAudioStreamer(audioContext);
 
                     // Add volume meter worklet
                     await this.audioStreamer.addWorklet('vumeter-out', AudioWorklets.VolMeterWorklet, (ev) => {
@@ -2301,13 +5984,39 @@
             this.ui.onPrepareAudioContext = () => {
                 this.createDeferredAudioContext();
             };
+            this.ui.getInputAnalyser = () => this.audioRecorder?.analyser;
+            this.ui.getOutputAnalyser = () => this.audioStreamer?.outputAnalyser;
+
+            this.bargeInDetector = new BargeInDetector({ echoMargin: this.config.bargeIn.echoMargin });
 
             // Setup event handlers
+            this.micOpen = this.config.inputMode === 'continuous';
             this.setupEventHandlers();
+            this.setupHotkey();
 
             console.log('Voice Assistant initialized successfully with video and page access support');
         }
 
+        createAudioStreamer(audioContext) {
+            const { initialDelay, minDelay, maxDelay } = this.config.jitterBuffer;
+            this.audioStreamer = new AudioStreamer(audioContext, {
+                sampleRate: this.client.protocol.outputSampleRate,
+                jitterBuffer: { initialDelay: initialDelay / 1000, minDelay: minDelay / 1000, maxDelay: maxDelay / 1000 }
+            });
+            this.audioStreamer.onComplete = () => {
+                this.sessionRecorder?.mark('assistant: turn end');
+                this.isTalking = false;
+                this.ui?.updateTalkingStatus(false);
+            };
+            this.audioStreamer.onUnderrun = (stats) => {
+                this.emit('underrun', stats);
+            };
+            this.audioStreamer.onSchedule = (samples, info) => {
+                this.recordAssistantAudio(samples, info);
+            };
+            this.applyAudioOutput();
+        }
+
         async createDeferredAudioContext() {
             if (this.audioStreamer) {
                 return; // Already created
@@ -2334,7 +6043,7 @@
                     }
                 }
 
-                this.audioStreamer = new AudioStreamer(audioContext);
+                this.createAudioStreamer(audioContext);
 
                 // Add volume meter worklet
                 await this.audioStreamer.addWorklet('vumeter-out', AudioWorklets.VolMeterWorklet, (ev) => {
@@ -2358,20 +6067,50 @@
 
             this.client.on('close', () => {
                 this.connected = false;
+                this.micOpen = this.config.inputMode === 'continuous';
+                this.ui?.updateMicStatus(this.micOpen);
                 this.ui?.updateConnectionStatus(false);
                 this.stopAudioRecording();
                 this.stopVideoStreaming();
                 console.log('Disconnected from voice assistant');
             });
 
-            this.client.on('audio', (data) => {
+            this.client.on('reconnecting', (info) => {
+                this.ui?.updateReconnectingStatus(true);
+                this.emit('reconnecting', info);
+            });
+
+            this.client.on('reconnected', (info) => {
+                this.ui?.updateReconnectingStatus(false);
+                this.emit('reconnected', info);
+            });
+
+            this.client.on('resumeFailed', (info) => {
+                this.ui?.updateReconnectingStatus(false);
+                this.emit('resumeFailed', info);
+            });
+
+            // Normalized errors ({ code, retryable, message }) for the host page
+            this.client.on('error', (error) => {
+                this.emit('error', error);
+            });
+
+            this.client.on('transportfallback', (info) => {
+                this.emit('transportfallback', info);
+            });
+
+            this.client.on('audio', (data, format) => {
+                if (!this.isTalking) {
+                    this.bargeInDetector.rearm();
+                }
                 this.isTalking = true;
                 this.ui?.updateTalkingStatus(true);
-                this.audioStreamer?.addPCM16(new Uint8Array(data));
+                this.audioStreamer?.addPCM16(new Uint8Array(data), format?.sampleRate);
             });
 
             this.client.on('interrupted', () => {
-                this.audioStreamer?.stop();
+                this.clearBargeIn();
+                this.stopPlayback('assistant: interrupted');
                 this.isTalking = false;
                 this.ui?.updateTalkingStatus(false);
                 if (!this.ui?.isPaused && !this.audioRecorder?.recording) {
@@ -2380,51 +6119,79 @@
             });
 
             this.client.on('turncomplete', () => {
-                this.isTalking = false;
-                this.ui?.updateTalkingStatus(false);
+                this.endBargeIn();
+                if (this.audioStreamer) {
+                    // Talking ends once the buffered audio has played out
+                    this.audioStreamer.complete();
+                } else {
+                    this.isTalking = false;
+                    this.ui?.updateTalkingStatus(false);
+                }
                 if (!this.ui?.isPaused && !this.audioRecorder?.recording) {
                     this.startAudioRecording();
                 }
             });
 
+            this.client.on('toolcall', (toolCall) => {
+                this.handleToolCall(toolCall);
+            });
+
+            this.client.on('toolcallcancellation', (cancellation) => {
+                this.toolRegistry.cancel(cancellation?.ids || []);
+            });
+
+            // Surface tool cancellations to the host page
+            this.toolRegistry.on('cancelled', (call) => {
+                this.emit('toolcancelled', call);
+            });
+
             // Audio recorder events
-            this.audioRecorder.on('data', (base64) => {
-                if (!this.ui?.isPaused) {
-                    this.client.sendRealtimeInput([
-                        {
-                            mimeType: 'audio/pcm;rate=16000',
-                            data: base64,
-                        },
-                    ]);
+            this.audioRecorder.on('pcm', (buffer) => {
+                if (!this.ui?.isPaused && this.micOpen) {
+                    this.client.sendAudio(buffer, this.audioRecorder.sampleRate);
+                    this.recordUserAudio(buffer);
                 }
             });
 
             this.audioRecorder.on('volume', (volume) => {
                 // This volume is from microphone input, but only update UI if listening
-                if (this.muted === false) {
+                if (this.muted === false && this.micOpen) {
                     this.ui?.updateVolume(volume);
                 }
+                this.checkBargeIn(volume);
             });
 
-            this.audioRecorder.on('silence', () => {
-                if (!this.ui?.isPaused) {
-                    this.client.send([], true);
-                }
+            // A new microphone was picked up mid-session (selection, unplug, new default)
+            this.audioRecorder.on('devicechange', (device) => {
+                this.config.audioInput.deviceId = this.audioRecorder.inputOptions.deviceId;
+                this.ui?.renderInputDevices(undefined, this.config.audioInput.deviceId);
+                this.emit('inputdevicechange', device);
             });
 
-            // Audio streamer events
-            if (this.audioStreamer) {
-                this.audioStreamer.onComplete = () => {
-                    this.isTalking = false;
-                    this.ui?.updateTalkingStatus(false);
-                };
-            }
+            this.audioRecorder.on('devices', (devices) => {
+                this.ui?.renderInputDevices(devices, this.config.audioInput.deviceId);
+            });
+
+            this.audioRecorder.on('speechstart', (info) => {
+                this.sessionRecorder?.mark('user: speech start');
+                this.emit('speechstart', info);
+            });
+
+            this.audioRecorder.on('speechend', (info) => {
+                this.sessionRecorder?.mark('user: speech end');
+                this.emit('speechend', info);
+                // Push-to-talk and toggle end turns when the mic closes instead
+                if (this.config.inputMode === 'continuous' &&
+                    this.config.turnDetection === 'client' && !this.ui?.isPaused) {
+                    this.client.endTurn();
+                }
+            });
 
             // Video events
             if (this.webcam) {
                 this.webcam.on('started', (stream) => {
                     this.ui?.showVideoPreview(stream, 'Camera');
-                    this.videoStreamer.start(stream);
+                    this.videoStreamer.start(stream, 'camera');
                 });
 
                 this.webcam.on('stopped', () => {
@@ -2436,7 +6203,7 @@
             if (this.screenCapture) {
                 this.screenCapture.on('started', (stream) => {
                     this.ui?.showVideoPreview(stream, 'Screen');
-                    this.videoStreamer.start(stream);
+                    this.videoStreamer.start(stream, 'screen');
                 });
 
                 this.screenCapture.on('stopped', () => {
@@ -2484,7 +6251,7 @@
 
             this.ui.onPauseSession = (isPaused) => {
                 if (isPaused) {
-                    this.audioStreamer?.stop();
+                    this.stopPlayback('paused');
                 } else {
                     this.audioStreamer?.resume();
                 }
@@ -2501,6 +6268,331 @@
             this.ui.onFileUpload = (file) => {
                 this.handleFileUpload(file);
             };
+
+            this.ui.onTalkStart = () => {
+                this.startTalking();
+            };
+
+            this.ui.onOpenSettings = async () => {
+                try {
+                    this.ui.renderInputDevices(await this.listInputDevices(), this.config.audioInput.deviceId);
+                    this.ui.renderOutputDevices(await this.listOutputDevices(), this.config.audioOutput.deviceId);
+                } catch (error) {
+                    // Permission revoked or document inactive: offer only the system defaults
+                    console.error('Failed to list audio devices:', error);
+                    this.ui.renderInputDevices([], this.config.audioInput.deviceId);
+                    this.ui.renderOutputDevices([], this.config.audioOutput.deviceId);
+                }
+            };
+
+            this.ui.onSelectOutputDevice = (deviceId) => {
+                this.setOutputDevice(deviceId).catch((error) => {
+                    console.warn('Could not switch output device:', error);
+                    this.ui.updateAudioOutput(this.config.audioOutput);
+                });
+            };
+
+            this.ui.onChangeOutputVolume = (volume) => {
+                this.setOutputVolume(volume);
+            };
+
+            this.ui.onToggleOutputMute = () => {
+                this.setOutputMuted(!this.config.audioOutput.muted);
+            };
+
+            this.ui.onChangePlaybackRate = (rate) => {
+                this.setPlaybackRate(rate);
+            };
+
+            this.ui.onSelectInputDevice = (deviceId) => {
+                this.setInputDevice(deviceId);
+            };
+
+            this.ui.onChangeAudioProcessing = (options) => {
+                this.setAudioProcessing(options);
+            };
+
+            this.ui.onTalkEnd = () => {
+                this.stopTalking();
+            };
+        }
+
+        // Duck playback as soon as the user talks over the assistant; the
+        // backend's `interrupted` confirms and stops it, silence restores it
+        checkBargeIn(micLevel) {
+            if (!this.config.bargeIn.enabled || !this.isTalking || !this.micOpen ||
+                !this.audioStreamer || this.ui?.isPaused) {
+                return;
+            }
+
+            const outputLevel = this.audioStreamer.getOutputLevel();
+            if (!this.bargeInDetector.update(micLevel, outputLevel, this.audioRecorder.speaking)) {
+                return;
+            }
+
+            this.audioStreamer.duck(this.config.bargeIn.duckLevel);
+            this.emit('bargein', { micLevel, outputLevel });
+            this.bargeInTimer = setTimeout(() => {
+                this.bargeInTimer = null;
+                this.endBargeIn();
+                this.bargeInDetector.rearm();
+            }, this.config.bargeIn.confirmTimeout);
+        }
+
+        clearBargeIn() {
+            if (this.bargeInTimer) {
+                clearTimeout(this.bargeInTimer);
+                this.bargeInTimer = null;
+            }
+        }
+
+        // Unconfirmed barge-in: bring playback back to full volume
+        endBargeIn() {
+            this.clearBargeIn();
+            if (this.audioStreamer?.isDucked) {
+                this.audioStreamer.unduck();
+            }
+        }
+
+        listInputDevices() {
+            return AudioRecorder.listInputDevices();
+        }
+
+        // Silence playback; recorded assistant audio that will no longer be heard is dropped
+        stopPlayback(reason) {
+            if (!this.audioStreamer) return;
+            this.sessionRecorder?.cut('assistant', performance.now());
+            this.sessionRecorder?.mark(reason);
+            this.audioStreamer.stop();
+        }
+
+        // Session recording (opt-in). Disabling drops what was recorded.
+        setRecordingEnabled(enabled) {
+            if (!enabled) {
+                this.sessionRecorder = null;
+                return;
+            }
+            if (this.sessionRecorder) return;
+
+            this.sessionRecorder = new SessionRecorder(this.config.recording);
+            this.sessionRecorder.on('limit', (info) => {
+                this.emit('recordinglimit', info);
+            });
+        }
+
+        // Chunks arrive once captured, so they started one chunk duration ago
+        recordUserAudio(buffer) {
+            if (!this.sessionRecorder) return;
+            const samples = new Int16Array(buffer);
+            const sampleRate = this.audioRecorder.sampleRate;
+            this.sessionRecorder.add('user', samples, sampleRate, performance.now() - samples.length / sampleRate * 1000);
+        }
+
+        // Placed at the time the chunk will actually be heard
+        recordAssistantAudio(samples, { sampleRate, startTime, streamStart }) {
+            if (!this.sessionRecorder) return;
+            const time = performance.now() + (startTime - this.audioStreamer.context.currentTime) * 1000;
+            if (streamStart) {
+                this.sessionRecorder.mark('assistant: turn start', time);
+            }
+            this.sessionRecorder.add('assistant', samples, sampleRate, time);
+        }
+
+        // Stereo WAV Blob (user left, assistant right) with turn markers, or
+        // null when recording is off
+        exportRecording() {
+            return this.sessionRecorder?.exportWav() || null;
+        }
+
+        getRecordingMarkers() {
+            return this.sessionRecorder?.getMarkers() || [];
+        }
+
+        clearRecording() {
+            this.sessionRecorder?.clear();
+        }
+
+        listOutputDevices() {
+            return AudioStreamer.listOutputDevices();
+        }
+
+        // Push the configured output settings into a newly created streamer
+        applyAudioOutput() {
+            const { deviceId, volume, muted, playbackRate } = this.config.audioOutput;
+            this.audioStreamer.setVolume(volume);
+            this.audioStreamer.setOutputMuted(muted);
+            this.audioStreamer.setPlaybackRate(playbackRate);
+            if (deviceId) {
+                this.audioStreamer.setSinkId(deviceId).catch((error) => {
+                    // The saved device is gone or not allowed; stay on the default
+                    console.warn('Could not route audio to the saved output device:', error);
+                    this.updateAudioOutput({ deviceId: null });
+                });
+            }
+        }
+
+        // Store, apply and announce a change to the output settings
+        updateAudioOutput(changes) {
+            this.config.audioOutput = { ...this.config.audioOutput, ...changes };
+            const { storageKey, ...settings } = this.config.audioOutput;
+            Utils.saveSettings(storageKey, settings);
+            this.ui?.updateAudioOutput(settings);
+            this.emit('audiooutputchange', settings);
+        }
+
+        setOutputVolume(volume) {
+            this.audioStreamer?.setVolume(volume);
+            this.updateAudioOutput({ volume: this.audioStreamer?.volume ?? Math.min(1, Math.max(0, volume)) });
+        }
+
+        setOutputMuted(muted) {
+            this.audioStreamer?.setOutputMuted(muted);
+            this.updateAudioOutput({ muted: !!muted });
+        }
+
+        setPlaybackRate(rate) {
+            this.audioStreamer?.setPlaybackRate(rate);
+            this.updateAudioOutput({ playbackRate: this.audioStreamer?.playbackRate ?? Math.min(2, Math.max(0.5, rate)) });
+        }
+
+        // Rejects when the browser cannot route output or the device is unavailable
+        async setOutputDevice(deviceId) {
+            await this.audioStreamer?.setSinkId(deviceId);
+            this.updateAudioOutput({ deviceId: deviceId || null });
+        }
+
+        // Jitter buffer and underrun metrics for diagnostics
+        getPlaybackStats() {
+            return this.audioStreamer?.getStats() || null;
+        }
+
+        getAudioOutput() {
+            const { storageKey, ...settings } = this.config.audioOutput;
+            return { ...settings, deviceSelection: AudioStreamer.supportsOutputSelection() };
+        }
+
+        // Takes effect immediately when recording, otherwise on the next start
+        setInputDevice(deviceId) {
+            this.config.audioInput.deviceId = deviceId || null;
+            return this.audioRecorder?.setInputDevice(deviceId);
+        }
+
+        setAudioProcessing(options = {}) {
+            this.config.audioInput = { ...this.config.audioInput, ...options };
+            this.ui?.updateAudioProcessing(this.config.audioInput);
+            return this.audioRecorder?.setProcessing(options);
+        }
+
+        // Built-in steps: highpass, gate, compressor, limiter and gain, plus any
+        // registered processor. Applies live without restarting the session.
+        setProcessingChain(chain = []) {
+            const error = AudioProcessingChain.validate(chain);
+            if (error) {
+                return Promise.reject(error);
+            }
+            const applied = this.audioRecorder?.setProcessingChain(chain) || Promise.resolve();
+            return applied.then(() => {
+                this.config.audioInput.processingChain = chain;
+            });
+        }
+
+        getProcessingChain() {
+            return this.config.audioInput.processingChain.map(step => ({ ...step }));
+        }
+
+        // Hotkey for push-to-talk (hold) and toggle (press); ignored while typing
+        setupHotkey() {
+            // Keys aimed at form fields, controls and the widget itself keep their
+            // normal behavior (Space activates buttons, checks boxes, scrolls)
+            const isInteractive = (event) => {
+                const target = event.target;
+                return target?.isContentEditable ||
+                    !!target?.closest?.(HOTKEY_IGNORED_TARGETS) ||
+                    !!this.ui?.container?.contains(target);
+            };
+            const matches = (event) => this.config.hotkey && event.code === this.config.hotkey &&
+                this.config.inputMode !== 'continuous' && this.connected && !isInteractive(event);
+
+            // The key's default action is only suppressed while it drives the mic
+            this.hotkeyHeld = false;
+            this.keyHandlers = {
+                keydown: (event) => {
+                    if (!matches(event)) return;
+                    if (event.repeat) {
+                        if (this.hotkeyHeld) event.preventDefault();
+                        return;
+                    }
+                    const wasOpen = this.micOpen;
+                    if (this.config.inputMode === 'toggle') {
+                        this.toggleTalking();
+                    } else {
+                        this.startTalking();
+                    }
+                    if (this.micOpen !== wasOpen) {
+                        this.hotkeyHeld = true;
+                        event.preventDefault();
+                    }
+                },
+                keyup: (event) => {
+                    if (event.code !== this.config.hotkey || !this.hotkeyHeld) return;
+                    this.hotkeyHeld = false;
+                    event.preventDefault();
+                    if (this.config.inputMode === 'push-to-talk') {
+                        this.stopTalking();
+                    }
+                }
+            };
+            window.addEventListener('keydown', this.keyHandlers.keydown);
+            window.addEventListener('keyup', this.keyHandlers.keyup);
+        }
+
+        removeHotkey() {
+            if (!this.keyHandlers) return;
+            window.removeEventListener('keydown', this.keyHandlers.keydown);
+            window.removeEventListener('keyup', this.keyHandlers.keyup);
+            this.keyHandlers = null;
+        }
+
+        // Open the mic in push-to-talk / toggle mode
+        startTalking() {
+            if (!this.connected || this.micOpen || this.ui?.isPaused) return;
+
+            this.micOpen = true;
+            this.ui?.updateMicStatus(true);
+            this.sessionRecorder?.mark('user: talk start');
+            this.emit('talkstart');
+        }
+
+        // Close the mic and hand the turn to the model
+        stopTalking() {
+            if (!this.micOpen || this.config.inputMode === 'continuous') return;
+
+            this.micOpen = false;
+            this.ui?.updateVolume(0);
+            this.ui?.updateMicStatus(false);
+            if (this.connected) {
+                this.client.endTurn();
+            }
+            this.sessionRecorder?.mark('user: talk end');
+            this.emit('talkend');
+        }
+
+        toggleTalking() {
+            if (this.micOpen) {
+                this.stopTalking();
+            } else {
+                this.startTalking();
+            }
+        }
+
+        setInputMode(mode, hotkey = this.config.hotkey) {
+            if (!['continuous', 'push-to-talk', 'toggle'].includes(mode)) {
+                throw new Error(`Unknown input mode "${mode}"`);
+            }
+            this.config.inputMode = mode;
+            this.config.hotkey = hotkey;
+            this.micOpen = mode === 'continuous';
+            this.ui?.setInputMode(mode, hotkey);
         }
 
         async startSession() {
@@ -2539,24 +6631,21 @@
                 }
             }
 
+            // Provider-neutral config; the client's protocol maps it to the wire format
             const config = {
-                responseModalities: ['AUDIO'],
-                speechConfig: {
-                    voiceConfig: {
-                        prebuiltVoiceConfig: {
-                            voiceName: this.config.voiceName,
-                        },
-                    },
-                },
-                systemInstruction: {
-                    parts: [
-                        {
-                            text: systemInstruction,
-                        },
-                    ],
-                },
+                modalities: ['audio'],
+                voice: this.config.voiceName || this.client.protocol.defaultVoice,
+                instructions: systemInstruction,
+                turnDetection: this.config.turnDetection,
+                // Both sides as text, so a lost session can be replayed
+                transcription: true,
             };
 
+            // Expose registered tools to the model
+            if (this.toolRegistry.size > 0) {
+                config.tools = this.toolRegistry.getFunctionDeclarations();
+            }
+
             try {
                 const connected = await this.client.connect(this.config.model, config);
                 if (connected) {
@@ -2575,6 +6664,7 @@
 
             this.stopAudioRecording();
             this.stopVideoStreaming();
+            this.toolRegistry.cancelAll();
 
             // Stop page monitoring
             if (this.pageAccessor) {
@@ -2585,6 +6675,14 @@
             this.sessionStartTime = null;
         }
 
+        // Run the requested tools and reply with their results
+        async handleToolCall(toolCall) {
+            const toolResponse = await this.toolRegistry.handleToolCall(toolCall);
+            if (this.connected) {
+                this.client.sendToolResponse(toolResponse);
+            }
+        }
+
         // Build page context instruction for AI
         buildPageContextInstruction(pageData) {
             if (!pageData) return '';
@@ -2614,6 +6712,10 @@
 
             instruction += `\n\nYou can help users with anything on this page. You have access to all visible content, forms, buttons, links, and can see what users are interacting with in real-time.`;
 
+            if (this.config.features.pageActions) {
+                instruction += ` You can also click buttons, fill in form fields, scroll to sections, follow links and submit forms using your page action tools.`;
+            }
+
             return instruction;
         }
 
@@ -2684,6 +6786,9 @@
 
         // Determine if interaction should be reported to AI
         shouldReportInteraction(interaction) {
+            // Synthetic events come from page actions or scripts, not the user
+            if (interaction.trusted === false) return false;
+
             switch (interaction.type) {
                 case 'click':
                     return true; // Always report clicks
@@ -2812,6 +6917,7 @@
 
         destroy() {
             this.stopSession();
+            this.removeHotkey();
             this.ui?.destroy();
 
             // Clean up audio contexts
@@ -2841,19 +6947,61 @@
         }
 
         getStatus() {
+            const queueStats = this.client?.getQueueStats() || { queueDepth: 0, droppedChunks: 0 };
+            const latency = this.client?.getLatencyStats() || { rtt: null, averageRtt: null };
             return {
                 connected: this.connected,
                 muted: this.muted,
                 volume: this.volume,
                 talking: this.isTalking,
+                userSpeaking: this.audioRecorder?.speaking || false,
                 paused: this.ui?.isPaused || false,
                 hasVideo: this.webcam?.isStreaming || false,
                 hasScreenShare: this.screenCapture?.isStreaming || false,
+                videoFrames: this.videoStreamer?.isStreaming ? this.videoStreamer.getStats() : null,
                 pageMonitoring: this.pageAccessor?.isMonitoring || false,
+                queueDepth: queueStats.queueDepth,
+                droppedChunks: queueStats.droppedChunks,
+                audioCodec: this.client?.audioCodec || 'pcm',
+                rtt: latency.rtt,
+                averageRtt: latency.averageRtt,
+                lastError: this.client?.lastError
+                    ? { code: this.client.lastError.code, message: this.client.lastError.message, retryable: this.client.lastError.retryable }
+                    : null,
+                audioOutput: this.getAudioOutput(),
+                playback: this.getPlaybackStats(),
                 features: this.config.features
             };
         }
 
+        getVadOptions() {
+            return {
+                sensitivity: this.config.vad.sensitivity,
+                minSpeechMs: this.config.vad.minSpeechDuration,
+                hangoverMs: this.config.silenceTimeout
+            };
+        }
+
+        // Voice activity detection settings apply immediately, even mid-session
+        setVad(options = {}) {
+            const { silenceTimeout, ...vad } = options;
+            this.config.vad = { ...this.config.vad, ...vad };
+            if (silenceTimeout !== undefined) {
+                this.config.silenceTimeout = silenceTimeout;
+            }
+            this.audioRecorder?.setVadOptions(this.getVadOptions());
+        }
+
+        // Tool calling API methods
+        registerTool(tool) {
+            this.toolRegistry.register(tool);
+            return this;
+        }
+
+        unregisterTool(name) {
+            return this.toolRegistry.unregister(name);
+        }
+
         // Page access API methods
         getPageData() {
             return this.pageAccessor?.getCurrentPageData() || null;
@@ -2961,6 +7109,114 @@
             return this.instance?.toggleScreenShare();
         },
 
+        // Events (e.g. 'toolcancelled', 'reconnecting', 'reconnected', 'resumeFailed', 'transportfallback')
+        on(event, listener) {
+            return this.instance?.on(event, listener);
+        },
+
+        off(event, listener) {
+            return this.instance?.off(event, listener);
+        },
+
+        // Tool calling
+        registerTool(tool) {
+            return this.instance?.registerTool(tool);
+        },
+
+        unregisterTool(name) {
+            return this.instance?.unregisterTool(name);
+        },
+
+        setVad(options) {
+            this.instance?.setVad(options);
+        },
+
+        // Microphone selection and browser audio processing
+        async listInputDevices() {
+            return this.instance ? this.instance.listInputDevices() : [];
+        },
+
+        setInputDevice(deviceId) {
+            return this.instance?.setInputDevice(deviceId);
+        },
+
+        setAudioProcessing(options) {
+            return this.instance?.setAudioProcessing(options);
+        },
+
+        // Microphone processing chain and custom AudioWorklet processors
+        setProcessingChain(chain) {
+            return this.instance?.setProcessingChain(chain);
+        },
+
+        getProcessingChain() {
+            return this.instance?.getProcessingChain() || null;
+        },
+
+        // Can be called before init()
+        registerAudioProcessor(name, processor) {
+            AudioProcessingChain.register(name, processor);
+        },
+
+        // Playback: volume 0-1, mute, output device and speaking rate (persisted per user)
+        async listOutputDevices() {
+            return this.instance ? this.instance.listOutputDevices() : [];
+        },
+
+        setOutputDevice(deviceId) {
+            return this.instance?.setOutputDevice(deviceId);
+        },
+
+        setOutputVolume(volume) {
+            this.instance?.setOutputVolume(volume);
+        },
+
+        setOutputMuted(muted) {
+            this.instance?.setOutputMuted(muted);
+        },
+
+        setPlaybackRate(rate) {
+            this.instance?.setPlaybackRate(rate);
+        },
+
+        getAudioOutput() {
+            return this.instance?.getAudioOutput() || null;
+        },
+
+        getPlaybackStats() {
+            return this.instance?.getPlaybackStats() || null;
+        },
+
+        // Session recording, enabled with `recording: { enabled: true }`
+        setRecordingEnabled(enabled) {
+            this.instance?.setRecordingEnabled(enabled);
+        },
+
+        exportRecording() {
+            return this.instance?.exportRecording() || null;
+        },
+
+        getRecordingMarkers() {
+            return this.instance?.getRecordingMarkers() || [];
+        },
+
+        clearRecording() {
+            this.instance?.clearRecording();
+        },
+
+        // Input modes: 'continuous', 'push-to-talk' or 'toggle'
+        setInputMode(mode, hotkey) {
+            this.instance?.setInputMode(mode, hotkey);
+        },
+
+        startTalking() {
+            this.instance?.startTalking();
+        },
+
+        stopTalking() {
+            this.instance?.stopTalking();
+        },
+
         // Page access controls
         getPageData() {
             return this.instance?.getPageData();
@@ -2989,9 +7245,19 @@
                 paused: false,
                 volume: 0,
                 talking: false,
+                userSpeaking: false,
                 hasVideo: false,
                 hasScreenShare: false,
+                videoFrames: null,
                 pageMonitoring: false,
+                queueDepth: 0,
+                droppedChunks: 0,
+                audioCodec: 'pcm',
+                rtt: null,
+                averageRtt: null,
+                lastError: null,
+                audioOutput: null,
+                playback: null,
                 features: { video: false, screenShare: false, fileUpload: false, pageAccess: false }
             };
         },
@@ -3035,6 +7301,7 @@
                 videoActive: status.hasVideo,
                 screenShareActive: status.hasScreenShare,
                 pageMonitoring: status.pageMonitoring,
+                latency: { rtt: status.rtt, averageRtt: status.averageRtt },
                 pageData: status.pageMonitoring ? this.getPageData() : null,
                 recentInteractions: status.pageMonitoring ? this.getRecentActivity(5) : []
             };
@@ -3052,10 +7319,12 @@
 
         elements.forEach(element => {
             const config = {
-                backendUrl: element.dataset.backendUrl || 'wss://aiagent.babaai.live',
+                backendUrl: element.dataset.backendUrl || null,
+                provider: element.dataset.provider || 'relay',
                 theme: element.dataset.theme || 'theme-dark',
                 position: element.dataset.position || 'bottom-right',
-                voiceName: element.dataset.voice || 'Aoede',
+                voiceName: element.dataset.voice || null,
+                inputMode: element.dataset.inputMode || 'continuous',
                 features: {
                     video: element.dataset.video === 'true',
                     screenShare: element.dataset.screenShare === 'true',
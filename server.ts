@@ -0,0 +1,41 @@
+// File location: server.ts
+// Custom Next.js server that also hosts the reference relay backend:
+//   ws://localhost:3000/relay                 WebSocket protocol endpoint
+//   http://localhost:3000/relay/events        Server-Sent Events fallback (downstream)
+//   http://localhost:3000/relay/messages      HTTP POST fallback (upstream)
+import { createServer } from 'http';
+import next from 'next';
+import { createAdapter, createRelayServer } from './lib/relay';
+import { getTokenSecret } from './lib/voice-token';
+
+const dev = process.env.NODE_ENV !== 'production';
+const port = Number(process.env.PORT) || 3000;
+
+const app = next({ dev });
+const handle = app.getRequestHandler();
+
+const relay = createRelayServer({
+  adapter: createAdapter(process.env.RELAY_ADAPTER || 'mock'),
+  basePath: process.env.RELAY_PATH || '/relay',
+  tokenSecret: getTokenSecret(),
+  apiKey: process.env.RELAY_API_KEY || null,
+});
+
+app.prepare().then(() => {
+  const upgrade = app.getUpgradeHandler();
+
+  const server = createServer((req, res) => {
+    if (relay.handleRequest(req, res)) return;
+    handle(req, res);
+  });
+
+  server.on('upgrade', (req, socket, head) => {
+    if (relay.handleUpgrade(req, socket, head)) return;
+    upgrade(req, socket, head);
+  });
+
+  server.listen(port, () => {
+    console.log(`> Ready on http://localhost:${port}`);
+    console.log(`> Relay listening on ws://localhost:${port}${relay.basePath}`);
+  });
+});